@@ -3,6 +3,9 @@ const mongoose = require("mongoose");
 const cors = require("cors");
 const path = require("path");
 require("dotenv").config();
+const { startMailWorker } = require("./src/utils/mailer");
+const { checkSmsConfigured } = require("./src/utils/sms");
+const Order = require("./src/models/Order");
 
 const app = express();
 
@@ -26,7 +29,8 @@ app.use(
     origin: allowedOrigins, // Allow both Netlify frontends and localhost
     credentials: true, // Allow cookies and authentication headers
     methods: ["GET", "POST", "PUT", "DELETE"], // Allowed HTTP methods
-    allowedHeaders: ["Content-Type", "Authorization"], // Allowed headers
+    allowedHeaders: ["Content-Type", "Authorization", "X-Guest-Token", "Idempotency-Key"], // Allowed headers
+    exposedHeaders: ["X-Guest-Token", "X-Total-Count", "Idempotent-Replayed"], // Readable by the frontends
   })
 );
 
@@ -37,7 +41,8 @@ app.use((req, res, next) => {
     res.header("Access-Control-Allow-Origin", origin);
   }
   res.header("Access-Control-Allow-Methods", "GET, POST, PUT, DELETE");
-  res.header("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  res.header("Access-Control-Allow-Headers", "Content-Type, Authorization, X-Guest-Token, Idempotency-Key");
+  res.header("Access-Control-Expose-Headers", "X-Guest-Token, X-Total-Count, Idempotent-Replayed");
   res.header("Access-Control-Allow-Credentials", "true");
   next();
 });
@@ -50,7 +55,11 @@ app.use(express.urlencoded({ extended: true })); // Parses URL-encoded form data
 const MONGO_URI = process.env.MONGO_URI || "mongodb://localhost:27017/pa-gebeya";
 mongoose
   .connect(MONGO_URI, { useNewUrlParser: true, useUnifiedTopology: true })
-  .then(() => console.log("✅ MongoDB Connected"))
+  .then(() => {
+    console.log("✅ MongoDB Connected");
+    startMailWorker(); // Deliver queued emails and retry failures
+    Order.syncOrderCounter().catch((err) => console.error("❌ Order counter sync failed:", err.message));
+  })
   .catch((err) => console.error("❌ MongoDB Connection Error:", err));
 
 app.get("/", (req, res) => {
@@ -73,11 +82,26 @@ app.use("/api/orders", orderRoutes);
 const cartRoutes = require("./src/routes/cartRoutes");
 app.use("/api/cart", cartRoutes);
 
+const checkoutRoutes = require("./src/routes/checkoutRoutes");
+app.use("/api/checkout", checkoutRoutes);
+
 const userRoute = require("./src/routes/userRoutes");
 app.use("/api/users", userRoute);
 
+const promotionRoutes = require("./src/routes/promotionRoutes");
+app.use("/api/promotions", promotionRoutes);
+
+const couponRoutes = require("./src/routes/couponRoutes");
+app.use("/api/coupons", couponRoutes);
+
 const adsRoutes = require("./src/routes/adsRoutes");
 app.use("/api/ads", adsRoutes);
 
+const adminRoutes = require("./src/routes/adminRoutes");
+app.use("/api/admin", adminRoutes);
+
+// Warns when there is no real SMS gateway; phone OTPs are refused (never logged) until there is
+checkSmsConfigured();
+
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => console.log(`✅ Server running on port ${PORT}`));
\ No newline at end of file
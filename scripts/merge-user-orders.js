@@ -0,0 +1,112 @@
+// One-off migration: fold the old UserOrder records into Order, the single
+// order model, and give every Order a proper ObjectId userId.
+//
+//   npm run migrate:user-orders            report only (dry run)
+//   npm run migrate:user-orders -- --apply write the fixes
+//
+// Order is the source of truth. The script only fills gaps from UserOrder
+// (a missing customer), never overwrites, and reports everything else:
+//   INVALID_USER_ID   - Order.userId isn't an ObjectId; moved to legacyUserId
+//   UNKNOWN_USER      - Order.userId points to no existing user
+//   MISSING_ORDER     - a UserOrder whose orderId matches no Order
+//   USER_FILLED       - Order had no customer; taken from its UserOrder
+//   USER_MISMATCH     - Order and UserOrder name different customers
+//   STATUS_MISMATCH   - status differs (the Order status is kept)
+//   TOTAL_MISMATCH    - UserOrder.total differs from Order.amount
+//   DUPLICATE_ORDER_ID - several UserOrders for the same order
+// The userorders collection is left in place; drop it once the report is clean.
+require("dotenv").config();
+const mongoose = require("mongoose");
+
+const MONGO_URI = process.env.MONGO_URI || "mongodb://localhost:27017/pa-gebeya";
+const apply = process.argv.includes("--apply");
+
+const report = [];
+const flag = (code, details) => report.push({ code, ...details });
+
+const isObjectId = (value) => value instanceof mongoose.Types.ObjectId;
+
+const run = async () => {
+  await mongoose.connect(MONGO_URI);
+  const db = mongoose.connection.db;
+  const orders = db.collection("orders");
+  const userOrders = db.collection("userorders");
+  const users = db.collection("users");
+
+  const userIds = new Set((await users.find({}, { projection: { _id: 1 } }).toArray()).map((user) => String(user._id)));
+  const writes = [];
+  const orderById = new Map();
+
+  // 1. Order.userId: strings become ObjectIds
+  for (const order of await orders.find({}, { projection: { id: 1, userId: 1, status: 1, amount: 1, anonymizedAt: 1 } }).toArray()) {
+    orderById.set(order.id, order);
+    const { userId } = order;
+    if (userId == null || userId === "") {
+      if (userId === "") writes.push({ updateOne: { filter: { _id: order._id }, update: { $unset: { userId: 1 } } } });
+      continue;
+    }
+
+    if (isObjectId(userId)) {
+      if (!userIds.has(String(userId))) flag("UNKNOWN_USER", { orderId: order.id, userId: String(userId) });
+      continue;
+    }
+
+    if (mongoose.Types.ObjectId.isValid(userId) && String(new mongoose.Types.ObjectId(userId)) === userId) {
+      order.userId = new mongoose.Types.ObjectId(userId);
+      writes.push({ updateOne: { filter: { _id: order._id }, update: { $set: { userId: order.userId } } } });
+      if (!userIds.has(userId)) flag("UNKNOWN_USER", { orderId: order.id, userId });
+    } else {
+      flag("INVALID_USER_ID", { orderId: order.id, userId });
+      order.userId = null;
+      writes.push({
+        updateOne: { filter: { _id: order._id }, update: { $set: { legacyUserId: String(userId) }, $unset: { userId: 1 } } },
+      });
+    }
+  }
+
+  // 2. Compare every UserOrder with its Order
+  const seen = new Set();
+  const allUserOrders = await userOrders.find().toArray();
+  for (const userOrder of allUserOrders) {
+    const orderId = Number(userOrder.orderId);
+    const order = orderById.get(orderId);
+
+    if (seen.has(orderId)) flag("DUPLICATE_ORDER_ID", { orderId: userOrder.orderId, userOrderId: String(userOrder._id) });
+    seen.add(orderId);
+
+    if (!order) {
+      flag("MISSING_ORDER", { orderId: userOrder.orderId, userOrderId: String(userOrder._id), userId: userOrder.userId && String(userOrder.userId) });
+      continue;
+    }
+
+    const userOrderUser = userOrder.userId ? String(userOrder.userId) : null;
+    const orderUser = order.userId ? String(order.userId) : null;
+    if (userOrderUser && !orderUser && !order.anonymizedAt) {
+      flag("USER_FILLED", { orderId: order.id, userId: userOrderUser });
+      order.userId = new mongoose.Types.ObjectId(userOrderUser);
+      writes.push({ updateOne: { filter: { _id: order._id }, update: { $set: { userId: order.userId } } } });
+    } else if (userOrderUser && orderUser && userOrderUser !== orderUser) {
+      flag("USER_MISMATCH", { orderId: order.id, orderUserId: orderUser, userOrderUserId: userOrderUser });
+    }
+
+    if (userOrder.status !== order.status) {
+      flag("STATUS_MISMATCH", { orderId: order.id, orderStatus: order.status, userOrderStatus: userOrder.status });
+    }
+    if (Number(userOrder.total) !== Number(order.amount)) {
+      flag("TOTAL_MISMATCH", { orderId: order.id, orderAmount: order.amount, userOrderTotal: userOrder.total });
+    }
+  }
+
+  if (apply && writes.length > 0) await orders.bulkWrite(writes); // In order: a later fix may touch the same order
+
+  const counts = report.reduce((acc, entry) => ({ ...acc, [entry.code]: (acc[entry.code] || 0) + 1 }), {});
+  console.log(JSON.stringify({ apply, orders: orderById.size, userOrders: allUserOrders.length, writes: writes.length, counts, report }, null, 2));
+  if (!apply && writes.length > 0) console.log(`Dry run: ${writes.length} order updates pending, re-run with --apply`);
+};
+
+run()
+  .catch((error) => {
+    console.error("❌ Migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,38 @@
+// One-off migration for email verification: accounts created before it
+// existed have no emailVerified field and would be blocked from ordering
+// (EMAIL_NOT_VERIFIED). They are grandfathered in as verified. Accounts
+// created since then store emailVerified: false explicitly and are left alone.
+//
+//   npm run migrate:email-verified            report only (dry run)
+//   npm run migrate:email-verified -- --apply write the change
+require("dotenv").config();
+const mongoose = require("mongoose");
+
+const MONGO_URI = process.env.MONGO_URI || "mongodb://localhost:27017/pa-gebeya";
+const apply = process.argv.includes("--apply");
+
+const run = async () => {
+  await mongoose.connect(MONGO_URI);
+  const users = mongoose.connection.db.collection("users");
+  const filter = { emailVerified: { $exists: false } };
+
+  const byRole = await users.aggregate([{ $match: filter }, { $group: { _id: "$role", count: { $sum: 1 } } }]).toArray();
+  const pending = byRole.reduce((sum, row) => sum + row.count, 0);
+
+  let updated = 0;
+  if (apply && pending > 0) {
+    ({ modifiedCount: updated } = await users.updateMany(filter, { $set: { emailVerified: true } }));
+  }
+
+  console.log(
+    JSON.stringify({ apply, pending, updated, byRole: Object.fromEntries(byRole.map((row) => [row._id || "customer", row.count])) }, null, 2)
+  );
+  if (!apply && pending > 0) console.log(`Dry run: ${pending} accounts to mark verified, re-run with --apply`);
+};
+
+run()
+  .catch((error) => {
+    console.error("❌ Migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
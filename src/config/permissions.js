@@ -0,0 +1,107 @@
+// Roles a user can hold (see User.role)
+const ROLES = {
+  CUSTOMER: "customer",
+  STAFF: "staff",
+  ADMIN: "admin",
+};
+
+const ALL = [ROLES.CUSTOMER, ROLES.STAFF, ROLES.ADMIN];
+const STAFF = [ROLES.STAFF, ROLES.ADMIN];
+const ADMIN = [ROLES.ADMIN];
+
+// Policy table: one entry per protected action.
+//   public - no token required
+//   roles  - roles allowed to perform the action on any record
+//   owner  - request field (params first, then body) holding the user ID a
+//            customer must match to act on their own records
+const policies = {
+  // Products
+  "products.list": { public: true },
+  "products.read": { public: true },
+  "products.create": { roles: ADMIN },
+  "products.update": { roles: ADMIN },
+  "products.delete": { roles: ADMIN },
+  "products.stock": { roles: STAFF },
+  "products.import": { roles: ADMIN },
+  "products.export": { roles: STAFF },
+
+  // Stock ledger
+  "stock.adjust": { roles: ADMIN },
+  "stock.history": { roles: ADMIN },
+  "stock.reconcile": { roles: ADMIN },
+
+  // Reviews
+  "reviews.list": { public: true },
+  "reviews.create": { roles: ALL }, // Delivered-order check in the controller
+  "reviews.update": { roles: ALL }, // Author only, checked in the controller
+  "reviews.delete": { roles: ALL }, // Author or admin, checked in the controller
+  "reviews.moderate": { roles: ADMIN },
+  "reviews.listAll": { roles: ADMIN },
+
+  // Categories
+  "categories.list": { public: true },
+  "categories.read": { public: true },
+  "categories.create": { roles: ADMIN },
+  "categories.update": { roles: ADMIN },
+  "categories.delete": { roles: ADMIN },
+
+  // Promotions
+  "promotions.active": { public: true },
+  "promotions.list": { roles: STAFF },
+  "promotions.create": { roles: ADMIN },
+  "promotions.update": { roles: ADMIN },
+  "promotions.delete": { roles: ADMIN },
+
+  // Coupons
+  "coupons.list": { roles: ADMIN },
+  "coupons.create": { roles: ADMIN },
+  "coupons.update": { roles: ADMIN },
+  "coupons.delete": { roles: ADMIN },
+
+  // Ads, banners
+  "ads.list": { public: true },
+  "ads.create": { roles: ADMIN },
+  "ads.update": { roles: ADMIN },
+  "ads.delete": { roles: ADMIN },
+
+  // Orders (/api/orders)
+  "orders.create": { roles: ALL }, // Customers are pinned to their own userId in the controller
+  "orders.checkout": { roles: ALL }, // POST /api/checkout, always the caller's own cart
+  "orders.list": { roles: STAFF },
+  "orders.read": { roles: ALL }, // Customers are scoped to their own orders in the controller
+  "orders.readOwn": { roles: STAFF, owner: "userId" },
+  "orders.update": { roles: STAFF },
+  "orders.delete": { roles: ADMIN },
+  "orders.deleteAll": { roles: ADMIN },
+  "orders.paymentProof": { roles: ALL }, // Ownership checked against the order
+  "orders.paymentReview": { roles: STAFF },
+  "orders.paymentQueue": { roles: STAFF },
+
+  // User order summaries (/api/users/orders), read-only views over orders
+  "userOrders.list": { roles: STAFF },
+  "userOrders.listByUser": { roles: STAFF, owner: "userId" },
+  "userOrders.read": { roles: STAFF, owner: "userId" },
+
+  // Messages
+  "messages.create": { roles: STAFF, owner: "userId" },
+  "messages.list": { roles: STAFF },
+  "messages.listByUser": { roles: STAFF, owner: "userId" },
+  "messages.update": { roles: ALL }, // Ownership checked against the message
+  "messages.delete": { roles: ALL }, // Ownership checked against the message
+
+  // Notifications
+  "notifications.create": { roles: STAFF },
+  "notifications.listOwn": { roles: ALL },
+  "notifications.listByUser": { roles: STAFF, owner: "userId" },
+  "notifications.update": { roles: ALL }, // Ownership checked against the notification
+  "notifications.delete": { roles: ALL }, // Ownership checked against the notification
+
+  // Users
+  "users.me": { roles: ALL }, // Own profile, contact details and account deletion
+  "users.updateRole": { roles: ADMIN },
+
+  // Admin
+  "audit.list": { roles: ADMIN },
+};
+
+module.exports = { ROLES, policies };
@@ -0,0 +1,129 @@
+const mongoose = require("mongoose");
+const Address = require("../models/Address");
+const { normalizePhoneNumber } = require("../utils/phone");
+
+const EDITABLE_FIELDS = ["label", "recipientName", "contactPhone", "city", "subCity", "woreda", "landmark", "details"];
+
+// Pick and clean the editable fields present in the request body
+const parseAddressBody = (body) => {
+  const data = {};
+  EDITABLE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) data[field] = typeof body[field] === "string" ? body[field].trim() : body[field];
+  });
+  if (data.contactPhone !== undefined) data.contactPhone = normalizePhoneNumber(data.contactPhone);
+  return data;
+};
+
+// Make `addressId` the user's only default address
+const makeDefault = async (userId, addressId) => {
+  await Address.updateMany({ userId, _id: { $ne: addressId } }, { isDefault: false });
+  return Address.findByIdAndUpdate(addressId, { isDefault: true }, { new: true });
+};
+
+const findOwnAddress = (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.addressId)) return null;
+  return Address.findOne({ _id: req.params.addressId, userId: req.user._id });
+};
+
+// List the logged-in user's addresses, default first
+const getAddresses = async (req, res) => {
+  try {
+    const addresses = await Address.find({ userId: req.user._id }).sort({ isDefault: -1, updatedAt: -1 });
+    res.json({ success: true, addresses });
+  } catch (error) {
+    console.error("Error fetching addresses:", error);
+    res.status(500).json({ success: false, message: "Failed to fetch addresses" });
+  }
+};
+
+// Add an address; the first one (or one sent with isDefault) becomes the default
+const createAddress = async (req, res) => {
+  try {
+    const data = parseAddressBody(req.body);
+    if (!data.label) throw new Error("Label is required (e.g., Home, Office)");
+    if (!data.subCity) throw new Error("Sub-city is required");
+    if (!data.contactPhone) throw new Error("Contact phone is required");
+
+    const hasAddresses = await Address.exists({ userId: req.user._id });
+    let address = await Address.create({ ...data, userId: req.user._id });
+
+    if (!hasAddresses || req.body.isDefault === true || req.body.isDefault === "true") {
+      address = await makeDefault(req.user._id, address._id);
+    }
+
+    res.status(201).json({ success: true, message: "Address added", address });
+  } catch (error) {
+    console.error("Error creating address:", error);
+    res.status(400).json({
+      success: false,
+      message: error.message || "Failed to add address",
+      code: "VALIDATION_ERROR"
+    });
+  }
+};
+
+// Edit an address
+const updateAddress = async (req, res) => {
+  try {
+    const address = await findOwnAddress(req);
+    if (!address) return res.status(404).json({ success: false, message: "Address not found" });
+
+    Object.assign(address, parseAddressBody(req.body));
+    await address.save();
+
+    const updated = req.body.isDefault === true || req.body.isDefault === "true"
+      ? await makeDefault(req.user._id, address._id)
+      : address;
+
+    res.json({ success: true, message: "Address updated", address: updated });
+  } catch (error) {
+    console.error("Error updating address:", error);
+    res.status(400).json({
+      success: false,
+      message: error.message || "Failed to update address",
+      code: "VALIDATION_ERROR"
+    });
+  }
+};
+
+// Set an address as the default
+const setDefaultAddress = async (req, res) => {
+  try {
+    const address = await findOwnAddress(req);
+    if (!address) return res.status(404).json({ success: false, message: "Address not found" });
+
+    const updated = await makeDefault(req.user._id, address._id);
+    res.json({ success: true, message: "Default address updated", address: updated });
+  } catch (error) {
+    console.error("Error setting default address:", error);
+    res.status(500).json({ success: false, message: "Failed to set default address" });
+  }
+};
+
+// Delete an address; if it was the default, the most recently used one takes over
+const deleteAddress = async (req, res) => {
+  try {
+    const address = await findOwnAddress(req);
+    if (!address) return res.status(404).json({ success: false, message: "Address not found" });
+
+    await address.deleteOne();
+
+    if (address.isDefault) {
+      const next = await Address.findOne({ userId: req.user._id }).sort({ updatedAt: -1 });
+      if (next) await makeDefault(req.user._id, next._id);
+    }
+
+    res.json({ success: true, message: "Address deleted" });
+  } catch (error) {
+    console.error("Error deleting address:", error);
+    res.status(500).json({ success: false, message: "Failed to delete address" });
+  }
+};
+
+module.exports = {
+  getAddresses,
+  createAddress,
+  updateAddress,
+  setDefaultAddress,
+  deleteAddress,
+};
@@ -0,0 +1,59 @@
+const mongoose = require("mongoose");
+const AuditLog = require("../models/AuditLog");
+
+// List audit entries, newest first.
+// Filters: actor, entityType, entityId, action, from, to (ISO dates); paging: page, limit
+const getAuditLogs = async (req, res) => {
+  try {
+    const { actor, entityType, entityId, action, from, to } = req.query;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+
+    const filter = {};
+
+    if (actor) {
+      if (!mongoose.Types.ObjectId.isValid(actor)) {
+        return res.status(400).json({ message: "Invalid actor ID" });
+      }
+      filter.actor = actor;
+    }
+    if (entityType) filter.entityType = entityType;
+    if (entityId) filter.entityId = entityId;
+    if (action) filter.action = action;
+
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+      if (Object.values(filter.createdAt).some((date) => isNaN(date))) {
+        return res.status(400).json({ message: "Invalid date range" });
+      }
+    }
+
+    const [logs, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate("actor", "fullName email role"),
+      AuditLog.countDocuments(filter),
+    ]);
+
+    res.json({
+      logs,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching audit logs:", error);
+    res.status(500).json({ message: "Failed to fetch audit logs", error: error.message });
+  }
+};
+
+module.exports = {
+  getAuditLogs,
+};
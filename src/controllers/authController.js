@@ -1,81 +1,45 @@
 require("dotenv").config();
 const User = require("../models/Users");
-const UserOrder = require("../models/UserOrder");
 const Message = require("../models/Message");
 const Notification = require("../models/Notification");
+const crypto = require("crypto");
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
-const nodemailer = require("nodemailer");
-
-// Email sending function
-const sendOTP = async (email, otp) => {
-  const transporter = nodemailer.createTransport({
-    service: process.env.EMAIL_SERVICE || 'gmail',
-    host: process.env.EMAIL_HOST || "smtp.gmail.com",
-    port: process.env.EMAIL_PORT || 465,
-    secure: true,
-    auth: {
-      user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_PASS,
-    },
-  });
-
-  const mailOptions = {
-    from: `"PA Gebeya" <${process.env.EMAIL_USER}>`,
-    to: email,
-    subject: "Your Login OTP Code",
-    html: `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2 style="color: #333;">Your One-Time Password (OTP)</h2>
-        <p>Use the following OTP to complete your login:</p>
-        <div style="background: #f4f4f4; padding: 20px; text-align: center; margin: 20px 0;">
-          <h1 style="margin: 0; color: #0066cc;">${otp}</h1>
-        </div>
-        <p>This OTP is valid for 10 minutes.</p>
-        <p>If you didn't request this, please ignore this email.</p>
-      </div>
-    `,
-  };
+const Session = require("../models/Session");
+const PasswordResetToken = require("../models/PasswordResetToken");
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+} = require("../utils/sessionTokens");
+const { issueOtp, verifyOtp, deliverOtp, provesEmail } = require("../utils/otp");
+const { normalizePhoneNumber, phoneNumberVariants } = require("../utils/phone");
+const { validateEmail, validatePassword } = require("../utils/validators");
+const { queueEmail } = require("../utils/mailer");
+const { mergeGuestCart } = require("../utils/guestCart");
+const { assertSmsAvailable } = require("../utils/sms");
 
-  try {
-    await transporter.sendMail(mailOptions);
-    console.log(`OTP sent to ${email}`);
-    return true;
-  } catch (error) {
-    console.error("Error sending OTP email:", error);
-    throw new Error("Failed to send OTP email");
-  }
-};
+const PASSWORD_RESET_TTL_MS = 30 * 60 * 1000; // Reset links valid for 30 minutes
+const MAX_PASSWORD_ATTEMPTS = Number(process.env.PASSWORD_MAX_ATTEMPTS) || 5;
+const PASSWORD_LOCKOUT_MS = (Number(process.env.PASSWORD_LOCKOUT_MINUTES) || 15) * 60 * 1000;
 
-// Phone validation (simplified for your example format)
-const validatePhoneNumber = (phoneNumber) => {
-  if (!phoneNumber) throw new Error("Phone number is required");
-  
-  // Remove all non-digit characters
-  const cleaned = phoneNumber.toString().replace(/\D/g, '');
-  
-  // Check if phone number is 10 digits (for Ethiopian format)
-  if (!/^[0-9]{10}$/.test(cleaned)) {
-    throw new Error("Phone number must be 10 digits (e.g., 0967432143)");
-  }
-  
-  return cleaned;
-};
+// Phone validation: accepts 0912…, +251912… and 251912…, returns E.164
+const validatePhoneNumber = (phoneNumber) => normalizePhoneNumber(phoneNumber);
 
-// Email validation
-const validateEmail = (email) => {
-  if (!email) throw new Error("Email is required");
-  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
-    throw new Error("Invalid email format (e.g., user@example.com)");
+// Resolve the login identifier to a user and the OTP channel to use.
+// A phone number selects the SMS channel; otherwise email is used.
+const findUserForLogin = async ({ email, phoneNumber }) => {
+  if (phoneNumber) {
+    const normalizedPhone = validatePhoneNumber(phoneNumber);
+    const user = await User.findOne({ phoneNumber: { $in: phoneNumberVariants(normalizedPhone) } });
+    return { user, channel: "sms", destination: normalizedPhone };
   }
-};
 
-// Password validation
-const validatePassword = (password) => {
-  if (!password) throw new Error("Password is required");
-  if (password.length < 8) {
-    throw new Error("Password must be at least 8 characters");
-  }
+  if (!email) throw new Error("Email or phone number is required");
+  validateEmail(email);
+
+  const user = await User.findOne({ email });
+  return { user, channel: "email", destination: email };
 };
 
 // Registration function
@@ -93,7 +57,7 @@ const registerUser = async (req, res) => {
     // Check if user exists
     const [userExists, phoneExists] = await Promise.all([
       User.findOne({ email }),
-      User.findOne({ phoneNumber: validatedPhone })
+      User.findOne({ phoneNumber: { $in: phoneNumberVariants(validatedPhone) } })
     ]);
 
     if (userExists) {
@@ -123,15 +87,26 @@ const registerUser = async (req, res) => {
 
     await newUser.save();
 
+    // A failed verification email shouldn't fail registration; the user can resend
+    let emailVerificationSent = false;
+    try {
+      const { otp } = await issueOtp(newUser, "emailVerification");
+      await deliverOtp("email", newUser.email, otp, { purpose: "emailVerification", locale: newUser.locale });
+      emailVerificationSent = true;
+    } catch (error) {
+      console.error("Error sending verification email:", error);
+    }
+
     res.status(201).json({ 
       success: true,
       message: "User registered successfully",
+      emailVerificationSent,
       user: {
         _id: newUser._id,
         fullName: newUser.fullName,
         phoneNumber: newUser.phoneNumber,
         email: newUser.email,
-        password: newUser.password, // Only for demonstration, remove in production
+        emailVerified: newUser.emailVerified,
         __v: newUser.__v
       }
     });
@@ -146,15 +121,10 @@ const registerUser = async (req, res) => {
   }
 };
 
-// Login function
+// Login function: sends an OTP by email, or by SMS when a phone number is given
 const loginUser = async (req, res) => {
-  const { email } = req.body;
-
   try {
-    if (!email) throw new Error("Email is required");
-    validateEmail(email);
-
-    const user = await User.findOne({ email });
+    const { user, channel, destination } = await findUserForLogin(req.body);
     if (!user) {
       return res.status(404).json({ 
         success: false,
@@ -163,50 +133,98 @@ const loginUser = async (req, res) => {
       });
     }
 
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
-    const otpExpiry = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes from now
-
-    // Update user with OTP details
-    const updatedUser = await User.findByIdAndUpdate(
-      user._id,
-      { 
-        $set: { 
-          otp: otp,
-          otpExpiry: otpExpiry 
-        } 
-      },
-      { new: true }
-    );
+    if (channel === "sms") assertSmsAvailable();
 
-    await sendOTP(email, otp);
+    // Enforces lockout, resend cooldown and daily cap; stores only the OTP hash
+    const { otp, otpExpiry } = await issueOtp(user, "login", { channel, destination });
+
+    await deliverOtp(channel, destination, otp, { locale: user.locale });
 
     res.status(200).json({ 
       success: true,
-      message: "OTP sent to your email",
-      email: email,
-      otpDetails: {
-        otp: updatedUser.otp,
-        otpExpiry: updatedUser.otpExpiry
-      }
+      message: channel === "sms" ? "OTP sent to your phone" : "OTP sent to your email",
+      channel,
+      [channel === "sms" ? "phoneNumber" : "email"]: destination,
+      otpExpiry
     });
   } catch (error) {
     console.error("Login error:", error);
-    res.status(400).json({ 
+    res.status(error.status || 400).json({ 
       success: false,
       message: error.message || "Login failed",
-      code: "LOGIN_ERROR"
+      code: error.code || "LOGIN_ERROR",
+      ...error.details
     });
   }
 };
 
 // OTP Verification function
 const verifyOTP = async (req, res) => {
-  const { email, otp } = req.body;
+  const { otp } = req.body;
 
   try {
-    if (!email) throw new Error("Email is required");
     if (!otp) throw new Error("OTP is required");
+
+    const { user } = await findUserForLogin(req.body);
+    if (!user) {
+      return res.status(404).json({ 
+        success: false,
+        message: "User not found",
+        code: "USER_NOT_FOUND"
+      });
+    }
+
+    // Counts failed guesses and locks the account after too many
+    const sentTo = await verifyOtp(user, otp);
+
+    // Receiving the login OTP at the account's email proves the user owns the
+    // address; where it was sent is what issueOtp recorded, not this request
+    if (!user.emailVerified && provesEmail(user, sentTo)) {
+      user.emailVerified = true;
+      await User.findByIdAndUpdate(user._id, { emailVerified: true });
+    }
+
+    // Start a session: short-lived access token plus rotating refresh token
+    const { token, refreshToken, expiresIn } = await createSession(user, req);
+
+    // Bring along whatever the visitor put in their cart before signing in
+    const cartMerge = await mergeGuestCart(req.headers["x-guest-token"] || req.body.guestToken, user._id);
+
+    res.status(200).json({
+      success: true,
+      message: "Login successful",
+      token,
+      refreshToken,
+      expiresIn,
+      cartMerge,
+      user: {
+        _id: user._id,
+        fullName: user.fullName,
+        phoneNumber: user.phoneNumber,
+        email: user.email,
+        emailVerified: user.emailVerified,
+        preferredLoginMethod: user.preferredLoginMethod,
+        __v: user.__v
+      }
+    });
+  } catch (error) {
+    console.error("OTP verification error:", error);
+    res.status(error.status || 400).json({ 
+      success: false,
+      message: error.message || "OTP verification failed",
+      code: error.code || "OTP_ERROR",
+      ...error.details
+    });
+  }
+};
+
+// Confirm the account's email with the code sent at registration
+const verifyEmail = async (req, res) => {
+  const { email, code } = req.body;
+
+  try {
     validateEmail(email);
+    if (!code) throw new Error("Verification code is required");
 
     const user = await User.findOne({ email });
     if (!user) {
@@ -217,58 +235,406 @@ const verifyOTP = async (req, res) => {
       });
     }
 
-    if (user.otp !== otp) {
-      return res.status(400).json({ 
+    if (!user.emailVerified) {
+      await verifyOtp(user, code, "emailVerification");
+      await User.findByIdAndUpdate(user._id, { emailVerified: true });
+    }
+
+    res.status(200).json({ 
+      success: true,
+      message: "Email verified successfully",
+      emailVerified: true
+    });
+  } catch (error) {
+    console.error("Email verification error:", error);
+    res.status(error.status || 400).json({ 
+      success: false,
+      message: error.message || "Email verification failed",
+      code: error.code || "VERIFICATION_ERROR",
+      ...error.details
+    });
+  }
+};
+
+// Send a new email verification code
+const resendVerificationEmail = async (req, res) => {
+  const { email } = req.body;
+
+  try {
+    validateEmail(email);
+
+    const user = await User.findOne({ email });
+    if (!user) {
+      return res.status(404).json({ 
         success: false,
-        message: "Invalid OTP code",
-        code: "INVALID_OTP"
+        message: "User not found",
+        code: "USER_NOT_FOUND"
       });
     }
 
-    if (new Date() > new Date(user.otpExpiry)) {
+    if (user.emailVerified) {
       return res.status(400).json({ 
         success: false,
-        message: "OTP expired. Please request a new one.",
-        code: "OTP_EXPIRED"
+        message: "Email is already verified",
+        code: "EMAIL_ALREADY_VERIFIED"
       });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id }, 
-      process.env.JWT_SECRET,
-      { expiresIn: "365d" }
-    );
+    const { otp, otpExpiry } = await issueOtp(user, "emailVerification");
+    await deliverOtp("email", user.email, otp, { purpose: "emailVerification", locale: user.locale });
 
-    // Clear OTP fields after successful verification
-    user.otp = undefined;
-    user.otpExpiry = undefined;
-    await user.save();
+    res.status(200).json({ 
+      success: true,
+      message: "Verification code sent to your email",
+      otpExpiry
+    });
+  } catch (error) {
+    console.error("Resend verification error:", error);
+    res.status(error.status || 400).json({ 
+      success: false,
+      message: error.message || "Failed to resend verification code",
+      code: error.code || "VERIFICATION_ERROR",
+      ...error.details
+    });
+  }
+};
+
+// Password login: alternative to OTP for users who set a password
+const loginWithPassword = async (req, res) => {
+  const { password } = req.body;
+
+  try {
+    if (!password) throw new Error("Password is required");
+
+    const { user } = await findUserForLogin(req.body);
+    if (!user) {
+      return res.status(401).json({ 
+        success: false,
+        message: "Invalid credentials",
+        code: "INVALID_CREDENTIALS"
+      });
+    }
+
+    if (user.passwordLockedUntil && user.passwordLockedUntil > new Date()) {
+      return res.status(429).json({ 
+        success: false,
+        message: "Too many failed attempts. Please try again later or log in with OTP.",
+        code: "PASSWORD_LOCKED",
+        retryAfter: Math.ceil((user.passwordLockedUntil - Date.now()) / 1000)
+      });
+    }
+
+    const matches = await bcrypt.compare(password, user.password);
+    if (!matches) {
+      const updated = await User.findByIdAndUpdate(
+        user._id,
+        { $inc: { passwordAttempts: 1 } },
+        { new: true }
+      );
+
+      if (updated.passwordAttempts >= MAX_PASSWORD_ATTEMPTS) {
+        await User.findByIdAndUpdate(user._id, {
+          $set: { passwordAttempts: 0, passwordLockedUntil: new Date(Date.now() + PASSWORD_LOCKOUT_MS) }
+        });
+      }
+
+      return res.status(401).json({ 
+        success: false,
+        message: "Invalid credentials",
+        code: "INVALID_CREDENTIALS"
+      });
+    }
+
+    await User.findByIdAndUpdate(user._id, {
+      $set: { passwordAttempts: 0 },
+      $unset: { passwordLockedUntil: 1 }
+    });
+
+    const { token, refreshToken, expiresIn } = await createSession(user, req);
+    const cartMerge = await mergeGuestCart(req.headers["x-guest-token"] || req.body.guestToken, user._id);
 
     res.status(200).json({
       success: true,
       message: "Login successful",
       token,
+      refreshToken,
+      expiresIn,
+      cartMerge,
       user: {
         _id: user._id,
         fullName: user.fullName,
         phoneNumber: user.phoneNumber,
         email: user.email,
+        emailVerified: user.emailVerified,
+        preferredLoginMethod: user.preferredLoginMethod,
         __v: user.__v
       }
     });
   } catch (error) {
-    console.error("OTP verification error:", error);
+    console.error("Password login error:", error);
     res.status(400).json({ 
       success: false,
-      message: error.message || "OTP verification failed",
-      code: "OTP_ERROR"
+      message: error.message || "Login failed",
+      code: "LOGIN_ERROR"
     });
   }
 };
 
+// Start a password reset: email a single-use reset link
+const forgotPassword = async (req, res) => {
+  const { email } = req.body;
+
+  try {
+    validateEmail(email);
+
+    const user = await User.findOne({ email });
+
+    // Same response whether or not the account exists, so emails can't be probed
+    if (user) {
+      const token = crypto.randomBytes(32).toString("hex");
+
+      // Only the newest link is valid
+      await PasswordResetToken.deleteMany({ userId: user._id, usedAt: null });
+      await PasswordResetToken.create({
+        userId: user._id,
+        tokenHash: crypto.createHash("sha256").update(token).digest("hex"),
+        expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MS),
+      });
+
+      await queueEmail({
+        to: user.email,
+        template: "passwordReset",
+        data: { resetUrl: `${process.env.CLIENT_URL || "http://localhost:3000"}/reset-password?token=${token}` },
+        locale: user.locale,
+        sensitive: true,
+        expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MS),
+      });
+    }
+
+    res.status(200).json({ 
+      success: true,
+      message: "If an account exists for this email, a reset link has been sent"
+    });
+  } catch (error) {
+    console.error("Forgot password error:", error);
+    res.status(400).json({ 
+      success: false,
+      message: error.message || "Password reset request failed",
+      code: "PASSWORD_RESET_ERROR"
+    });
+  }
+};
+
+// Complete a password reset with the emailed token
+const resetPassword = async (req, res) => {
+  const { token, password } = req.body;
+
+  try {
+    if (!token) throw new Error("Reset token is required");
+    validatePassword(password);
+
+    // Claim the token atomically so it can only be used once
+    const resetToken = await PasswordResetToken.findOneAndUpdate(
+      {
+        tokenHash: crypto.createHash("sha256").update(token).digest("hex"),
+        usedAt: null,
+        expiresAt: { $gt: new Date() },
+      },
+      { $set: { usedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!resetToken) {
+      return res.status(400).json({ 
+        success: false,
+        message: "Reset link is invalid or has expired",
+        code: "INVALID_RESET_TOKEN"
+      });
+    }
+
+    await User.findByIdAndUpdate(resetToken.userId, {
+      $set: { password: await bcrypt.hash(password, 10), passwordAttempts: 0 },
+      $unset: { passwordLockedUntil: 1 }
+    });
+
+    // A reset means the old password may be compromised: end every session
+    await revokeAllSessions(resetToken.userId, "revoked");
+
+    res.status(200).json({ success: true, message: "Password reset successfully. Please log in." });
+  } catch (error) {
+    console.error("Reset password error:", error);
+    res.status(400).json({ 
+      success: false,
+      message: error.message || "Password reset failed",
+      code: "PASSWORD_RESET_ERROR"
+    });
+  }
+};
+
+// Change password for the logged-in user
+const changePassword = async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  try {
+    if (!currentPassword) throw new Error("Current password is required");
+    validatePassword(newPassword);
+
+    const user = await User.findById(req.user._id);
+    const matches = await bcrypt.compare(currentPassword, user.password);
+    if (!matches) {
+      return res.status(401).json({ 
+        success: false,
+        message: "Current password is incorrect",
+        code: "INVALID_CREDENTIALS"
+      });
+    }
+
+    user.password = await bcrypt.hash(newPassword, 10);
+    await user.save();
+
+    // Keep this device logged in, sign out everywhere else
+    await revokeAllSessions(user._id, "revoked", req.authSession._id);
+
+    res.status(200).json({ success: true, message: "Password changed successfully" });
+  } catch (error) {
+    console.error("Change password error:", error);
+    res.status(400).json({ 
+      success: false,
+      message: error.message || "Password change failed",
+      code: "VALIDATION_ERROR"
+    });
+  }
+};
+
+// Set which login method the frontends should offer first
+const updateLoginMethod = async (req, res) => {
+  const { preferredLoginMethod } = req.body;
+
+  try {
+    if (!["otp", "password"].includes(preferredLoginMethod)) {
+      throw new Error("Login method must be 'otp' or 'password'");
+    }
+
+    await User.findByIdAndUpdate(req.user._id, { preferredLoginMethod });
+
+    res.status(200).json({ 
+      success: true,
+      message: "Preferred login method updated",
+      preferredLoginMethod
+    });
+  } catch (error) {
+    console.error("Login method update error:", error);
+    res.status(400).json({ 
+      success: false,
+      message: error.message || "Failed to update login method",
+      code: "VALIDATION_ERROR"
+    });
+  }
+};
+
+// Exchange a refresh token for a new token pair
+const refreshSession = async (req, res) => {
+  try {
+    const tokens = await rotateSession(req.body.refreshToken, req);
+
+    res.status(200).json({
+      success: true,
+      token: tokens.token,
+      refreshToken: tokens.refreshToken,
+      expiresIn: tokens.expiresIn,
+    });
+  } catch (error) {
+    console.error("Token refresh error:", error);
+    res.status(error.status || 400).json({
+      success: false,
+      message: error.message || "Token refresh failed",
+      code: error.code || "REFRESH_ERROR"
+    });
+  }
+};
+
+// Revoke the session the request was made with
+const logout = async (req, res) => {
+  try {
+    await revokeSession(req.authSession._id, "logout");
+    res.status(200).json({ success: true, message: "Logged out successfully" });
+  } catch (error) {
+    console.error("Logout error:", error);
+    res.status(500).json({ success: false, message: "Logout failed", code: "LOGOUT_ERROR" });
+  }
+};
+
+// Revoke every session of the current user
+const logoutAll = async (req, res) => {
+  try {
+    const result = await revokeAllSessions(req.user._id, "logout-all");
+    res.status(200).json({
+      success: true,
+      message: "Logged out of all devices",
+      revokedSessions: result.modifiedCount
+    });
+  } catch (error) {
+    console.error("Logout-all error:", error);
+    res.status(500).json({ success: false, message: "Logout failed", code: "LOGOUT_ERROR" });
+  }
+};
+
+// List the current user's active sessions
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastUsedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      sessions: sessions.map((session) => ({
+        _id: session._id,
+        device: session.device,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        current: session._id.equals(req.authSession._id),
+      }))
+    });
+  } catch (error) {
+    console.error("Error fetching sessions:", error);
+    res.status(500).json({ success: false, message: "Failed to fetch sessions", code: "SESSION_ERROR" });
+  }
+};
+
+// Revoke one of the current user's sessions (e.g. a lost phone)
+const deleteSession = async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.sessionId, userId: req.user._id });
+    if (!session) {
+      return res.status(404).json({ success: false, message: "Session not found", code: "SESSION_NOT_FOUND" });
+    }
+
+    await revokeSession(session._id, "revoked");
+    res.status(200).json({ success: true, message: "Session revoked" });
+  } catch (error) {
+    console.error("Error revoking session:", error);
+    res.status(500).json({ success: false, message: "Failed to revoke session", code: "SESSION_ERROR" });
+  }
+};
+
 module.exports = {
   registerUser,
   loginUser,
   verifyOTP,
+  verifyEmail,
+  resendVerificationEmail,
+  loginWithPassword,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  updateLoginMethod,
+  refreshSession,
+  logout,
+  logoutAll,
+  getSessions,
+  deleteSession,
 };
\ No newline at end of file
@@ -1,64 +1,97 @@
 const Cart = require("../models/Cart");
-const path = require("path");
+const Product = require("../models/Product");
+const { normalizeCode } = require("../utils/coupons");
+const { matchesItem, priceCart } = require("../utils/cart");
 
-// Get cart items for a specific user
+const EMPTY_TOTALS = { subtotal: 0, promotionDiscount: 0, couponDiscount: 0, discount: 0, total: 0 };
+
+// Price the cart from current product data, saving any quantity caps
+const pricedView = async (cart) => {
+  const { changed, ...priced } = await priceCart(cart);
+  if (changed) await cart.save();
+  return priced;
+};
+
+const parseQuantity = (value, fallback) => {
+  if (value === undefined || value === "") return fallback;
+  const quantity = Number(value);
+  return Number.isInteger(quantity) && quantity >= 1 ? quantity : null;
+};
+
+// Get the user's or guest's cart, priced and checked against stock
 exports.getCart = async (req, res) => {
   try {
-    const userId = req.user.id;
-    const cart = await Cart.findOne({ userId }).populate("items.productId");
-    res.json(cart || { userId, items: [] });
+    const cart = req.cartOwner ? await Cart.findOne(req.cartOwner) : null;
+    if (!cart) {
+      return res.json({ ...req.cartOwner, items: [], coupon: null, couponError: null, hasIssues: false, totals: EMPTY_TOTALS });
+    }
+
+    res.json(await pricedView(cart));
   } catch (error) {
-    res.status(500).json({ message: "Server Error", error });
+    console.error("Error fetching cart:", error);
+    res.status(500).json({ message: "Server Error", error: error.message });
   }
 };
 
-// Add an item to the cart (handling form-data with image upload)
+// Add an item to the cart. Body: productId, variantId (products with variants), quantity.
+// Names, images and prices always come from the product, never the request.
 exports.addToCart = async (req, res) => {
   try {
-    // Get userId from authenticated user (requires auth middleware)
-    const userId = req.user.id;
-    
-    // Validate required fields
-    if (!req.body.productId || !req.body.productName || req.body.price === undefined) {
+    const { productId, variantId } = req.body;
+
+    if (!productId) {
       return res.status(400).json({ 
         error: "Missing required fields",
-        required: ["productId", "productName", "price"],
-        received: req.body
+        required: ["productId"],
       });
     }
+    const quantity = parseQuantity(req.body.quantity, 1);
+    if (!quantity) return res.status(400).json({ error: "Quantity must be a whole number of at least 1" });
 
-    // Destructure fields from the request body
-    const { productId, productName, price, quantity, img } = req.body;
+    const product = await Product.findById(productId).catch(() => null);
+    if (!product) {
+      return res.status(404).json({ error: "Product not found" });
+    }
 
-    // Find or create the user's cart
-    let cart = await Cart.findOne({ userId });
+    // Products with variants need a specific variant
+    let variant = null;
+    if (product.variants.length > 0) {
+      variant = product.findVariant(variantId);
+      if (!variant) {
+        return res.status(400).json({ error: "Please choose a valid variant for this product" });
+      }
+    }
 
+    const { available } = (variant || product).stockLevels();
+    if (available === 0) {
+      return res.status(409).json({ error: "This product is out of stock", code: "OUT_OF_STOCK" });
+    }
+
+    // Find or create the user's (or guest's) cart
+    let cart = await Cart.findOne(req.cartOwner);
     if (!cart) {
-      cart = new Cart({ userId, items: [] });
+      cart = new Cart({ ...req.cartOwner, items: [] });
     }
 
-    // Check if the product already exists in the cart
-    const existingItem = cart.items.find(item => item.productId.toString() === productId);
+    // Same product and variant: add to the existing line, capped at the available stock
+    const existingItem = cart.items.find(item => matchesItem(item, product._id, variant?._id));
+    const requested = (existingItem?.quantity || 0) + quantity;
+    const newQuantity = Math.min(requested, available);
 
     if (existingItem) {
-      // Update quantity if the product already exists
-      existingItem.quantity += Number(quantity) || 1;
+      existingItem.quantity = newQuantity;
     } else {
-      // Add a new item to the cart
-      cart.items.push({
-        productId,
-        productName,
-        img: img || null,
-        price: Number(price),
-        quantity: Number(quantity) || 1,
-      });
+      cart.items.push({ productId: product._id, variantId: variant?._id, quantity: newQuantity });
     }
 
-    // Save the updated cart
     await cart.save();
 
-    // Respond with success
-    res.status(200).json({ message: "Item added to cart", cart });
+    res.status(200).json({
+      message: newQuantity < requested ? `Only ${available} available; quantity adjusted` : "Item added to cart",
+      quantityCapped: newQuantity < requested,
+      guestToken: req.guestToken, // Only when this request started a guest cart
+      cart: await pricedView(cart),
+    });
   } catch (error) {
     console.error("Error adding to cart:", error);
     res.status(500).json({ 
@@ -72,42 +105,39 @@ exports.addToCart = async (req, res) => {
 // Remove an item from the cart
 exports.removeFromCart = async (req, res) => {
   try {
-    const userId = req.user.id;
-    const cart = await Cart.findOne({ userId });
+    const cart = await Cart.findOne(req.cartOwner);
 
     if (!cart) return res.status(404).json({ message: "Cart not found" });
 
-    cart.items = cart.items.filter((item) => item.productId.toString() !== req.params.id);
+    // ?variantId= selects one variant line of the product
+    cart.items = cart.items.filter((item) => !matchesItem(item, req.params.id, req.query.variantId));
     await cart.save();
 
-    res.json(cart);
+    res.json(await pricedView(cart));
   } catch (error) {
-    res.status(500).json({ message: "Failed to remove item", error });
+    res.status(500).json({ message: "Failed to remove item", error: error.message });
   }
 };
 
-// Update item quantity in the cart
+// Update item quantity in the cart (capped at the available stock by priceCart)
 exports.updateCartItem = async (req, res) => {
   try {
-    const { quantity } = req.body;  // Get quantity from the request body
-    const userId = req.user.id;  // Get the user ID
-    const cart = await Cart.findOne({ userId });
+    const quantity = parseQuantity(req.body.quantity, null);
+    if (!quantity) return res.status(400).json({ message: "Quantity must be a whole number of at least 1" });
+
+    const cart = await Cart.findOne(req.cartOwner);
 
     if (!cart) return res.status(404).json({ message: "Cart not found" });
 
-    const item = cart.items.find((item) => item.productId.toString() === req.params.id);
+    const item = cart.items.find((item) => matchesItem(item, req.params.id, req.query.variantId));
     if (!item) return res.status(404).json({ message: "Item not found in cart" });
 
-    // Ensure quantity is always a number and update it
-    item.quantity = Number(quantity);
-
-    // Save the updated cart to the database
+    item.quantity = quantity;
     await cart.save();
 
-    // Respond with the updated cart
-    res.json(cart);
+    res.json(await pricedView(cart));
   } catch (error) {
-    res.status(500).json({ message: "Failed to update quantity", error });
+    res.status(500).json({ message: "Failed to update quantity", error: error.message });
   }
 };
 
@@ -133,21 +163,64 @@ exports.clearCartByUserId = async (req, res) => {
   }
 };
 
-// Get a specific cart item by productId
+// Get a specific cart item by productId, priced like getCart
 exports.getCartItem = async (req, res) => {
   try {
-    const userId = req.user.id; // Get user ID from auth middleware
     const { productId } = req.params;
 
-    const cart = await Cart.findOne({ userId });
+    const cart = await Cart.findOne(req.cartOwner);
     if (!cart) return res.status(404).json({ message: "Cart not found" });
 
-    const item = cart.items.find(item => item.productId.toString() === productId);
+    const { items } = await pricedView(cart);
+
+    const item = items.find(item => matchesItem(item, productId, req.query.variantId));
     if (!item) return res.status(404).json({ message: "Item not found in cart" });
 
     res.json(item);
   } catch (error) {
-    res.status(500).json({ message: "Failed to get item", error });
+    res.status(500).json({ message: "Failed to get item", error: error.message });
   }
 };
 
+// Apply a coupon code to the user's cart and return the discount breakdown
+exports.applyCoupon = async (req, res) => {
+  try {
+    // Per-customer limits need an account
+    if (!req.cartOwner.userId) {
+      return res.status(401).json({ message: "Please sign in to use a coupon code", code: "LOGIN_REQUIRED" });
+    }
+
+    const code = normalizeCode(req.body.code);
+    if (!code) return res.status(400).json({ message: "Coupon code is required" });
+
+    const cart = await Cart.findOne(req.cartOwner);
+    if (!cart || cart.items.length === 0) return res.status(400).json({ message: "Your cart is empty" });
+
+    cart.couponCode = code;
+    const { changed, ...priced } = await priceCart(cart); // Saved below only if the code is valid
+    if (priced.couponError) {
+      const { code: errorCode, message, ...details } = priced.couponError;
+      const status = errorCode === "COUPON_NOT_FOUND" ? 404 : 400;
+      return res.status(status).json({ message, code: errorCode, ...details });
+    }
+    if (!priced.coupon) return res.status(400).json({ message: "Nothing in your cart can be ordered right now" });
+
+    await cart.save();
+    res.json({ message: "Coupon applied", coupon: priced.coupon, totals: priced.totals, cart: priced });
+  } catch (error) {
+    console.error("Error applying coupon:", error);
+    res.status(500).json({ message: "Failed to apply coupon", error: error.message });
+  }
+};
+
+// Remove the coupon from the user's cart
+exports.removeCoupon = async (req, res) => {
+  try {
+    const cart = await Cart.findOneAndUpdate(req.cartOwner, { $unset: { couponCode: 1 } }, { new: true });
+    if (!cart) return res.status(404).json({ message: "Cart not found" });
+
+    res.json(await pricedView(cart));
+  } catch (error) {
+    res.status(500).json({ message: "Failed to remove coupon", error: error.message });
+  }
+};
@@ -0,0 +1,116 @@
+const mongoose = require("mongoose");
+const Coupon = require("../models/Coupon");
+const CouponRedemption = require("../models/CouponRedemption");
+
+// usedCount is only changed by checkout (utils/coupons)
+const EDITABLE_FIELDS = [
+  "code",
+  "description",
+  "discountType",
+  "value",
+  "maxDiscount",
+  "minOrderValue",
+  "products",
+  "categories",
+  "usageLimit",
+  "perUserLimit",
+  "startsAt",
+  "expiresAt",
+  "enabled",
+];
+
+const pickFields = (body) =>
+  Object.fromEntries(EDITABLE_FIELDS.filter((field) => body[field] !== undefined).map((field) => [field, body[field]]));
+
+const isInvalid = (error) =>
+  error instanceof mongoose.Error.ValidationError || error instanceof mongoose.Error.CastError;
+
+// List coupons, newest first. Filter: q (code prefix), enabled
+const getCoupons = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.q) filter.code = new RegExp(`^${req.query.q.toUpperCase().replace(/[^A-Z0-9_-]/g, "")}`);
+    if (req.query.enabled !== undefined) filter.enabled = req.query.enabled === "true";
+
+    const coupons = await Coupon.find(filter).sort({ createdAt: -1 });
+    res.json(coupons);
+  } catch (error) {
+    console.error("Error fetching coupons:", error);
+    res.status(500).json({ message: "Failed to fetch coupons", error: error.message });
+  }
+};
+
+// One coupon with its per-customer usage
+const getCouponById = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid coupon ID" });
+    }
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) return res.status(404).json({ message: "Coupon not found" });
+
+    const redemptions = await CouponRedemption.find({ couponId: coupon._id, count: { $gt: 0 } }).sort({ updatedAt: -1 });
+    res.json({ ...coupon.toObject(), redemptions });
+  } catch (error) {
+    res.status(500).json({ message: "Failed to fetch coupon", error: error.message });
+  }
+};
+
+const createCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.create({ ...pickFields(req.body), createdBy: req.user._id });
+    res.status(201).json({ message: "Coupon created successfully", coupon });
+  } catch (error) {
+    if (error.code === 11000) return res.status(409).json({ message: "A coupon with this code already exists" });
+    if (isInvalid(error)) return res.status(400).json({ message: "Invalid coupon", error: error.message });
+    console.error("Create coupon error:", error);
+    res.status(500).json({ message: "Failed to create coupon", error: error.message });
+  }
+};
+
+const updateCoupon = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid coupon ID" });
+    }
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) return res.status(404).json({ message: "Coupon not found" });
+
+    coupon.set(pickFields(req.body));
+    await coupon.save();
+    res.json({ message: "Coupon updated successfully", coupon });
+  } catch (error) {
+    if (error.code === 11000) return res.status(409).json({ message: "A coupon with this code already exists" });
+    if (isInvalid(error)) return res.status(400).json({ message: "Invalid coupon", error: error.message });
+    console.error("Update coupon error:", error);
+    res.status(500).json({ message: "Failed to update coupon", error: error.message });
+  }
+};
+
+// Used coupons are kept for order history; disable them instead
+const deleteCoupon = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid coupon ID" });
+    }
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) return res.status(404).json({ message: "Coupon not found" });
+    if (coupon.usedCount > 0) {
+      return res.status(409).json({ message: "This coupon has been used; disable it instead" });
+    }
+
+    await coupon.deleteOne();
+    await CouponRedemption.deleteMany({ couponId: coupon._id });
+    res.json({ message: "Coupon deleted successfully", deletedCouponId: coupon._id });
+  } catch (error) {
+    res.status(500).json({ message: "Failed to delete coupon", error: error.message });
+  }
+};
+
+module.exports = {
+  getCoupons,
+  getCouponById,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+};
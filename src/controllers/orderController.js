@@ -3,7 +3,24 @@ const multerS3 = require("multer-s3");
 const path = require("path");
 const multer = require("multer");
 const Order = require("../models/Order");
+const { PAYMENT_METHODS, PROOF_PAYMENT_METHODS } = Order;
+const Cart = require("../models/Cart");
+const mongoose = require("mongoose");
 const Product = require("../models/Product");
+const Address = require("../models/Address");
+const { reserveStock, releaseStock } = require("../utils/inventory");
+const { getActivePromotions, priceProduct } = require("../utils/pricing");
+const { evaluateCoupon, redeemCoupon } = require("../utils/coupons");
+const { priceCart } = require("../utils/cart");
+const { deleteImages } = require("../utils/storage");
+const {
+  emailCustomer,
+  releaseOrderStock,
+  allowedTransitions,
+  openingStatus,
+  transitionOrder,
+} = require("../utils/orderLifecycle");
+const { isPrivileged, canAccessUserResource } = require("../middlewares/permissionMiddleware");
 
 // Configure AWS S3
 const s3 = new S3Client({
@@ -51,6 +68,19 @@ const upload = multer({
   { name: 'productImages', maxCount: 10 }
 ]);
 
+// Order lines in the form evaluateCoupon() expects
+const toCouponLines = async (orderDetails) => {
+  const products = await Product.find({ _id: { $in: orderDetails.map((item) => item.productId) } }).select("category");
+  const categoryOf = new Map(products.map((product) => [String(product._id), product.category]));
+  return orderDetails.map((item) => ({
+    productId: item.productId,
+    variantId: item.variantId,
+    categoryId: categoryOf.get(String(item.productId)),
+    price: item.price,
+    quantity: item.quantity,
+  }));
+};
+
 // ✅ Create New Order
 exports.createOrder = async (req, res) => {
   try {
@@ -62,12 +92,34 @@ exports.createOrder = async (req, res) => {
     console.log("📌 Cleaned Request Body:", cleanedBody);
     console.log("📸 Uploaded Files:", req.files);
 
-    const userId = cleanedBody.userId || "Unknown ID";
+    // Customers can only place orders for themselves; staff may place one without an account
+    const userId = isPrivileged(req.user)
+      ? cleanedBody.userId || undefined
+      : req.user._id;
+    if (userId && !mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ error: "Invalid userId" });
+    }
     const name = cleanedBody.name || "Unknown";
-    const amount = cleanedBody.amount ? parseFloat(cleanedBody.amount) : 0;
-    const phoneNumber = cleanedBody.phoneNumber || "";
-    const deliveryAddress = cleanedBody.deliveryAddress || "";
-    const status = cleanedBody.status || "Pending";
+    let amount = cleanedBody.amount ? parseFloat(cleanedBody.amount) : 0;
+    let phoneNumber = cleanedBody.phoneNumber || "";
+    let deliveryAddress = cleanedBody.deliveryAddress || "";
+    let shippingAddress;
+
+    // Saved address: snapshot it onto the order instead of trusting free text
+    if (cleanedBody.addressId) {
+      const address = mongoose.Types.ObjectId.isValid(cleanedBody.addressId)
+        ? await Address.findOne({ _id: cleanedBody.addressId, userId })
+        : null;
+
+      if (!address) {
+        return res.status(400).json({ error: "Delivery address not found" });
+      }
+
+      shippingAddress = address.toSnapshot();
+      deliveryAddress = address.format();
+      phoneNumber = address.contactPhone;
+    }
+    const paymentMethod = PAYMENT_METHODS.includes(cleanedBody.paymentMethod) ? cleanedBody.paymentMethod : undefined;
 
     // Handle payment image upload
     const paymentImage = req.files && req.files["paymentImage"] && req.files["paymentImage"][0]
@@ -76,6 +128,10 @@ exports.createOrder = async (req, res) => {
 
     console.log("💳 Payment Image URL:", paymentImage);
 
+    // Orders start Pending, or in payment review when a proof came with them;
+    // later statuses go through the lifecycle (updateOrder)
+    const { status, statusHistory } = openingStatus(req.user, { paymentProof: !!paymentImage });
+
     // Handle product images upload
     const productImages = req.files && req.files["productImages"]
       ? req.files["productImages"].map((file) => getImageUrl(file.key))
@@ -87,12 +143,13 @@ exports.createOrder = async (req, res) => {
     if (cleanedBody.orderDetails) {
       try {
         orderDetails = JSON.parse(cleanedBody.orderDetails);
+        const promotions = await getActivePromotions();
 
         // Process each order item with its corresponding image
         orderDetails = await Promise.all(
           orderDetails.map(async (item, index) => {
             // Try to find product by ID first
-            let product = await Product.findById(item.productId);
+            let product = mongoose.Types.ObjectId.isValid(item.productId) ? await Product.findById(item.productId) : null;
             
             // If not found by ID, try by name (backward compatibility)
             if (!product && item.product) {
@@ -101,23 +158,60 @@ exports.createOrder = async (req, res) => {
 
             if (!product) {
               console.error(`❌ Product not found for item:`, item);
-              return null;
+              return { invalid: { line: index, productId: item.productId, product: item.product, reason: "PRODUCT_NOT_FOUND" } };
             }
 
             console.log(`✅ Found Product: ${product.name} - ID: ${product._id}`);
 
+            // Products with variants must be ordered as a specific variant
+            let variant = null;
+            if (product.variants.length > 0) {
+              variant = product.findVariant(item.variantId);
+              if (!variant) {
+                console.error(`❌ Variant not found for item:`, item);
+                return {
+                  invalid: {
+                    line: index,
+                    productId: product._id,
+                    product: product.name,
+                    variantId: item.variantId,
+                    reason: item.variantId ? "VARIANT_NOT_FOUND" : "VARIANT_REQUIRED",
+                  },
+                };
+              }
+            }
+
+            // Customers pay the current price, including any active promotion
+            const pricing = priceProduct(product, promotions, variant);
+
             return {
               productId: product._id,
+              variantId: variant?._id,
+              sku: variant?.sku,
+              variantLabel: variant?.label(),
               product: product.name,
-              quantity: item.quantity || 1,
-              price: item.price || product.price || 0,
-              productImage: productImages[index] || item.productImage || product.image || null,
+              quantity: Number(item.quantity) || 1,
+              price: pricing.price,
+              originalPrice: pricing.originalPrice,
+              promotionId: pricing.promotion?._id,
+              productImage: productImages[index] || item.productImage || getImageUrl(variant?.images[0]) || product.image || null,
             };
           })
         );
 
-        // Remove any null items (from products not found)
-        orderDetails = orderDetails.filter((item) => item !== null);
+        // Never drop lines silently: the customer would be charged for a different order
+        const invalidLines = orderDetails.filter((item) => item.invalid).map((item) => item.invalid);
+        if (invalidLines.length > 0) {
+          return res.status(400).json({
+            error: "Some order lines refer to products or variants that no longer exist",
+            code: "INVALID_ORDER_LINES",
+            lines: invalidLines,
+          });
+        }
+
+        if (orderDetails.some((item) => !Number.isInteger(item.quantity) || item.quantity < 1)) {
+          return res.status(400).json({ error: "Quantities must be whole numbers of at least 1" });
+        }
 
         console.log("✅ Final Order Details:", orderDetails);
       } catch (error) {
@@ -126,27 +220,78 @@ exports.createOrder = async (req, res) => {
       }
     }
 
-    // Get the next order ID
-    const lastOrder = await Order.findOne().sort({ id: -1 });
-    const newId = lastOrder ? lastOrder.id + 1 : 1;
+    // The amount due follows the server-side prices, not the client's total
+    if (orderDetails.length > 0) {
+      amount = Math.round(orderDetails.reduce((sum, item) => sum + item.price * item.quantity, 0) * 100) / 100;
+    }
+
+    // Coupon: re-validated against the final prices; its use is counted once the order has a number
+    let coupon;
+    let redeemable;
+    if (cleanedBody.couponCode) {
+      try {
+        const { coupon: found, breakdown } = await evaluateCoupon(cleanedBody.couponCode, await toCouponLines(orderDetails), userId);
+        redeemable = found;
+        coupon = { couponId: found._id, code: found.code, discount: breakdown.discount };
+        amount = breakdown.total;
+      } catch (error) {
+        if (!String(error.code).startsWith("COUPON_")) throw error;
+        return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+      }
+    }
+
+    // Hold the stock before the order exists so two customers can't buy the last unit
+    try {
+      await reserveStock(orderDetails);
+    } catch (error) {
+      if (error.code !== "INSUFFICIENT_STOCK") throw error;
+      return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+    }
 
-    // Create the new order
+    // Create the new order; its id is allocated from the order counter on save
     const newOrder = new Order({
-      id: newId,
       userId,
       name,
       amount,
       status,
+      statusHistory,
+      stockStatus: "reserved",
       phoneNumber,
       deliveryAddress,
+      shippingAddress,
+      paymentMethod,
       paymentImage,
+      paymentProofs: paymentImage ? [{ image: paymentImage }] : [],
       orderDetails,
+      coupon,
       createdAt: new Date(),
       updatedAt: new Date(),
     });
 
-    // Save the order
-    await newOrder.save();
+    // Save the order, handing the stock back if that fails
+    try {
+      await newOrder.save();
+    } catch (error) {
+      await releaseStock(orderDetails);
+      throw error;
+    }
+
+    // Count the coupon use atomically; if a concurrent order used it up, this one is withdrawn
+    if (redeemable) {
+      try {
+        await redeemCoupon(redeemable, userId, newOrder.id);
+      } catch (error) {
+        await releaseStock(orderDetails);
+        await Order.deleteOne({ _id: newOrder._id });
+        if (!String(error.code).startsWith("COUPON_")) throw error;
+        return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+      }
+    }
+
+    await emailCustomer(newOrder, "orderConfirmation", {
+      amount: newOrder.amount,
+      items: newOrder.orderDetails,
+    });
 
     console.log("🎉 Order created successfully:", newOrder);
     res.status(201).json(newOrder);
@@ -158,47 +303,226 @@ exports.createOrder = async (req, res) => {
     });
   }
 };
-// ✅ Update Order (Now Updates Product Stock & Sold when Delivered)
+// ✅ Checkout: turn the signed-in customer's cart into an order. Stock
+// reservation, coupon use, the order itself and clearing the cart happen in
+// one transaction, so a failure leaves none of them behind.
+exports.checkout = async (req, res) => {
+  const paymentFile = req.files?.paymentImage?.[0];
+  const discardUpload = () => (paymentFile ? deleteImages([paymentFile.key]) : null);
+
+  try {
+    const userId = req.user._id;
+    const { addressId, paymentMethod } = req.body;
+
+    if (!PAYMENT_METHODS.includes(paymentMethod)) {
+      await discardUpload();
+      return res.status(400).json({ error: "Invalid payment method", code: "INVALID_PAYMENT_METHOD", allowed: PAYMENT_METHODS });
+    }
+    if (paymentFile && !PROOF_PAYMENT_METHODS.includes(paymentMethod)) {
+      await discardUpload();
+      return res.status(400).json({ error: "No payment proof is needed for this payment method", code: "PAYMENT_PROOF_NOT_NEEDED" });
+    }
+    const paymentImage = paymentFile ? getImageUrl(paymentFile.key) : undefined;
+
+    const address = mongoose.Types.ObjectId.isValid(addressId) ? await Address.findOne({ _id: addressId, userId }) : null;
+    if (!address) {
+      await discardUpload();
+      return res.status(400).json({ error: "Delivery address not found", code: "ADDRESS_NOT_FOUND" });
+    }
+
+    const cart = await Cart.findOne({ userId });
+    if (!cart || cart.items.length === 0) {
+      await discardUpload();
+      return res.status(400).json({ error: "Your cart is empty", code: "CART_EMPTY" });
+    }
+
+    // Prices, stock and the coupon are checked against current data; anything
+    // the customer hasn't seen yet (removed products, capped quantities, a
+    // coupon that stopped applying) sends them back to review the cart
+    const { changed, ...priced } = await priceCart(cart);
+    if (changed) await cart.save();
+    if (priced.hasIssues || priced.couponError) {
+      await discardUpload();
+      return res.status(409).json({
+        error: "Your cart has changed, please review it before checking out",
+        code: "CART_NEEDS_REVIEW",
+        cart: priced,
+      });
+    }
+
+    const orderDetails = priced.items.map((item) => ({
+      productId: item.productId,
+      variantId: item.variantId,
+      sku: item.sku,
+      variantLabel: item.variantLabel,
+      product: item.productName,
+      quantity: item.quantity,
+      price: item.price,
+      originalPrice: item.originalPrice,
+      promotionId: item.promotion?._id,
+      productImage: item.img,
+    }));
+    const couponLines = cart.couponCode ? await toCouponLines(orderDetails) : null;
+
+    const session = await mongoose.startSession();
+    let order;
+    try {
+      await session.withTransaction(async () => {
+        let amount = priced.totals.total;
+
+        let coupon;
+        let redeemable;
+        if (cart.couponCode) {
+          const { coupon: found, breakdown } = await evaluateCoupon(cart.couponCode, couponLines, userId);
+          redeemable = found;
+          coupon = { couponId: found._id, code: found.code, discount: breakdown.discount };
+          amount = breakdown.total;
+        }
+
+        await reserveStock(orderDetails, { session });
+
+        // The order number comes from the counter (outside the transaction, so
+        // an aborted checkout leaves a gap in the numbering)
+        [order] = await Order.create(
+          [
+            {
+              userId,
+              name: req.user.fullName || address.recipientName,
+              amount,
+              ...openingStatus(req.user, { paymentProof: !!paymentImage }),
+              stockStatus: "reserved",
+              phoneNumber: address.contactPhone,
+              deliveryAddress: address.format(),
+              shippingAddress: address.toSnapshot(),
+              paymentMethod,
+              paymentImage,
+              paymentProofs: paymentImage ? [{ image: paymentImage }] : [],
+              orderDetails,
+              coupon,
+            },
+          ],
+          { session }
+        );
+
+        if (redeemable) await redeemCoupon(redeemable, userId, order.id, { session });
+
+        await Cart.deleteOne({ _id: cart._id }, { session });
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    await emailCustomer(order, "orderConfirmation", {
+      amount: order.amount,
+      items: order.orderDetails,
+    });
+
+    res.status(201).json(order);
+  } catch (error) {
+    await discardUpload();
+    if (error.status && error.code) {
+      return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+    }
+    console.error("❌ Error during checkout:", error.message);
+    res.status(500).json({ error: "Checkout failed", details: error.message });
+  }
+};
+
+// Fields staff can change with PUT /api/orders/:id besides the status
+const EDITABLE_ORDER_FIELDS = ["name", "phoneNumber", "deliveryAddress", "shippingAddress"];
+
+// True if any key, at any depth, is a MongoDB operator or a dotted path
+const hasOperatorKeys = (value) => {
+  if (Array.isArray(value)) return value.some(hasOperatorKeys);
+  if (!value || typeof value !== "object") return false;
+  return Object.entries(value).some(([key, field]) => key.startsWith("$") || key.includes(".") || hasOperatorKeys(field));
+};
+
+// ✅ Update Order. A status change goes through the order lifecycle (legal
+// transitions only, with their stock, coupon and customer side effects).
 exports.updateOrder = async (req, res) => {
   try {
     const { id } = req.params;
-    const updates = req.body;
+    const { status, reason, rejectionReason } = req.body;
 
-    console.log("🔄 Updating Order:", updates);
+    // Operators ($set, $pull, ...) would bypass the lifecycle; refuse them anywhere in the body
+    if (hasOperatorKeys(req.body)) {
+      return res.status(400).json({ error: "Update operators are not allowed", code: "INVALID_UPDATE" });
+    }
+
+    // Only contact and delivery details are edited directly; status, stock,
+    // coupon and payment fields are managed by their helpers
+    const updates = {};
+    EDITABLE_ORDER_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
 
-    const order = await Order.findOneAndUpdate({ id: parseInt(id) }, updates, { new: true });
+    console.log("🔄 Updating Order:", req.body);
 
+    let order = await Order.findOne({ id: parseInt(id) });
     if (!order) {
       return res.status(404).json({ error: "Order not found!" });
     }
 
-    // ✅ If status is "Delivered", update product stock & sold values
-    if (updates.status === "Delivered") {
-      for (const item of order.orderDetails) {
-        const product = await Product.findById(item.productId);
-
-        if (product) {
-          product.sold += item.quantity;
-          product.stockQuantity -= item.quantity;
-          await product.save();
-        } else {
-          console.error(`❌ Product not found for ID: ${item.productId}`);
-        }
-      }
+    // Payment decisions are recorded through the payment review endpoint
+    if (order.status === "PaymentReview" && ["Confirmed", "Pending"].includes(status)) {
+      return res.status(409).json({
+        error: "Approve or reject the payment proof with POST /api/orders/:id/payment-review",
+        code: "PAYMENT_REVIEW_REQUIRED",
+      });
+    }
+
+    if (status && status !== order.status) {
+      order = await transitionOrder(order, status, { actor: req.user, reason: reason || rejectionReason });
+    }
+    if (Object.keys(updates).length > 0) {
+      order = await Order.findOneAndUpdate({ _id: order._id }, { $set: updates }, { new: true, runValidators: true });
     }
 
     res.status(200).json(order);
   } catch (error) {
+    if (error.status && error.code) {
+      return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+    }
     console.error("❌ Error updating order:", error.message);
     res.status(500).json({ error: "Failed to update order." });
   }
 };
 
+// ✅ Order timeline: status history, oldest first. Staff also get the statuses
+// the order can move to next.
+exports.getOrderTimeline = async (req, res) => {
+  try {
+    const order = await Order.findOne({ id: req.params.id }).select("id userId status statusHistory createdAt");
+    if (!order || !canAccessUserResource(req.user, order.userId)) {
+      return res.status(404).json({ message: "Order not found" });
+    }
+
+    const staff = isPrivileged(req.user);
+    res.json({
+      orderId: order.id,
+      status: order.status,
+      placedAt: order.createdAt,
+      timeline: order.statusHistory.map((entry) => ({
+        from: entry.from,
+        to: entry.to,
+        at: entry.at,
+        reason: entry.reason,
+        actorRole: entry.actorRole,
+        ...(staff && { actor: entry.actor, actorName: entry.actorName }),
+      })),
+      ...(staff && { allowedTransitions: allowedTransitions(order.status) }),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
 // ✅ Get all Orders
 exports.getOrders = async (req, res) => {
   try {
     const orders = await Order.find().select(
-      "id userId name avatar amount status phoneNumber deliveryAddress paymentImage orderDetails createdAt"
+      "id userId name avatar amount coupon status stockStatus phoneNumber deliveryAddress shippingAddress paymentMethod paymentImage paymentProofs orderDetails createdAt"
     );
 
     console.log("📤 Orders Fetched from Database:", JSON.stringify(orders, null, 2));
@@ -214,9 +538,11 @@ exports.getOrders = async (req, res) => {
 exports.getOrderById = async (req, res) => {
   try {
     const order = await Order.findOne({ id: req.params.id }).select(
-      "id userId name avatar amount status phoneNumber deliveryAddress paymentImage orderDetails createdAt"
+      "id userId name avatar amount coupon status stockStatus phoneNumber deliveryAddress shippingAddress paymentMethod paymentImage paymentProofs orderDetails createdAt"
     );
-    if (!order) return res.status(404).json({ message: "Order not found" });
+    if (!order || !canAccessUserResource(req.user, order.userId)) {
+      return res.status(404).json({ message: "Order not found" });
+    }
     res.json(order);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -226,8 +552,11 @@ exports.getOrderById = async (req, res) => {
 // ✅ Delete Order
 exports.deleteOrder = async (req, res) => {
   try {
-    const deletedOrder = await Order.findOneAndDelete({ id: req.params.id });
-    if (!deletedOrder) return res.status(404).json({ message: "Order not found" });
+    const order = await Order.findOne({ id: req.params.id });
+    if (!order) return res.status(404).json({ message: "Order not found" });
+
+    await releaseOrderStock(order);
+    await order.deleteOne();
     res.json({ message: "Order deleted successfully" });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -237,6 +566,10 @@ exports.deleteOrder = async (req, res) => {
 // ✅ Delete All Orders
 exports.deleteAllOrders = async (req, res) => {
   try {
+    const reserved = await Order.find({ stockStatus: "reserved" }).select("orderDetails stockStatus");
+    for (const order of reserved) {
+      await releaseOrderStock(order);
+    }
     await Order.deleteMany({});
     res.json({ message: "All orders deleted successfully" });
   } catch (error) {
@@ -250,7 +583,7 @@ exports.getOrderByOrderIdAndUserId = async (req, res) => {
   console.log("Fetching order for:", orderId, userId); // Log the parameters
 
   try {
-    const order = await Order.findOne({ id: orderId, userId: userId });
+    const order = mongoose.Types.ObjectId.isValid(userId) ? await Order.findOne({ id: orderId, userId }) : null;
 
     if (!order) {
       console.log(`No order found for orderId: ${orderId} and userId: ${userId}`);
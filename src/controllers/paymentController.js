@@ -0,0 +1,233 @@
+const Order = require("../models/Order");
+const PaymentReference = require("../models/PaymentReference");
+const { PROOF_PAYMENT_METHODS } = require("../models/Order");
+const { canAccessUserResource } = require("../middlewares/permissionMiddleware");
+const { getImageUrl, deleteImages } = require("../utils/storage");
+const { transitionOrder } = require("../utils/orderLifecycle");
+
+const DECISIONS = ["approve", "reject"];
+
+// Banks print references in mixed case and with spaces; "ft 123abc" and
+// "FT123ABC" are the same transfer
+const normalizeReference = (reference) => String(reference || "").replace(/\s+/g, "").toUpperCase();
+
+const isTrue = (value) => value === true || value === "true";
+
+const parsePaging = (query) => ({
+  page: Math.max(1, parseInt(query.page) || 1),
+  limit: Math.min(50, Math.max(1, parseInt(query.limit) || 10)),
+});
+
+const sendError = (res, error, fallback) => {
+  if (error.status && error.code) {
+    return res.status(error.status).json({ error: error.message, code: error.code, ...error.details });
+  }
+  console.error(`❌ ${fallback}:`, error.message);
+  res.status(500).json({ error: fallback, details: error.message });
+};
+
+// What the review queue and the customer see of an order's payment
+const toPaymentView = (order) => {
+  const proofs = order.paymentProofs || [];
+  return {
+    orderId: order.id,
+    customer: order.userId,
+    name: order.name,
+    status: order.status,
+    paymentMethod: order.paymentMethod,
+    amountDue: order.amount,
+    paymentImage: order.paymentImage,
+    proof: proofs[proofs.length - 1] || null,
+    proofs,
+    rejections: proofs.filter((proof) => proof.status === "rejected").length,
+    createdAt: order.createdAt,
+  };
+};
+
+// POST /api/orders/:id/payment-proof - the customer uploads a payment proof
+// (first one, or a new one after a rejection); the order goes to PaymentReview
+const uploadPaymentProof = async (req, res) => {
+  const file = req.files?.paymentImage?.[0];
+  const discardUpload = () => (file ? deleteImages([file.key]) : null);
+
+  try {
+    if (!file) {
+      return res.status(400).json({ error: "Attach the payment proof as paymentImage", code: "PAYMENT_PROOF_REQUIRED" });
+    }
+
+    const order = await Order.findOne({ id: Number(req.params.id) });
+    if (!order || !canAccessUserResource(req.user, order.userId)) {
+      await discardUpload();
+      return res.status(404).json({ error: "Order not found" });
+    }
+
+    if (order.paymentMethod && !PROOF_PAYMENT_METHODS.includes(order.paymentMethod)) {
+      await discardUpload();
+      return res.status(400).json({ error: "No payment proof is needed for this payment method", code: "PAYMENT_PROOF_NOT_NEEDED" });
+    }
+    if (order.status !== "Pending") {
+      await discardUpload();
+      return res.status(409).json({
+        error:
+          order.status === "PaymentReview"
+            ? "The current payment proof is still being reviewed"
+            : "This order is not waiting for payment",
+        code: "PAYMENT_PROOF_NOT_ACCEPTED",
+        status: order.status,
+      });
+    }
+
+    const image = getImageUrl(file.key);
+    const updated = await transitionOrder(order, "PaymentReview", {
+      actor: req.user,
+      reason: "Payment proof uploaded",
+      set: { paymentImage: image },
+      push: { paymentProofs: { image, uploadedAt: new Date(), status: "pending" } },
+    });
+
+    res.status(201).json({ message: "Payment proof uploaded, we'll review it shortly", payment: toPaymentView(updated) });
+  } catch (error) {
+    await discardUpload();
+    sendError(res, error, "Failed to upload payment proof");
+  }
+};
+
+// POST /api/orders/:id/payment-review - staff approve the pending proof
+// (recording the transaction reference and amount received; an amount below
+// the one due also needs confirmShortfall) or reject it with a reason.
+// Approval confirms the order; rejection sends it back to Pending so the
+// customer can upload a new proof. The customer is notified either way.
+const reviewPayment = async (req, res) => {
+  try {
+    const { decision } = req.body;
+    const reason = String(req.body.reason || "").trim();
+    const transactionReference = normalizeReference(req.body.transactionReference);
+    const amountReceived = Number(req.body.amountReceived);
+
+    if (!DECISIONS.includes(decision)) {
+      return res.status(400).json({ error: "Decision must be approve or reject", code: "INVALID_DECISION" });
+    }
+    if (decision === "reject" && !reason) {
+      return res.status(400).json({ error: "A reason is required to reject a payment", code: "REASON_REQUIRED" });
+    }
+    if (decision === "approve" && (!transactionReference || req.body.amountReceived === undefined || !Number.isFinite(amountReceived) || amountReceived < 0)) {
+      return res.status(400).json({
+        error: "Approving a payment requires the transaction reference and the amount received",
+        code: "PAYMENT_DETAILS_REQUIRED",
+      });
+    }
+
+    const order = await Order.findOne({ id: Number(req.params.id) });
+    if (!order) return res.status(404).json({ error: "Order not found" });
+
+    if (order.status !== "PaymentReview") {
+      return res.status(409).json({ error: "This order has no payment waiting for review", code: "NOT_IN_PAYMENT_REVIEW", status: order.status });
+    }
+
+    // Less than the amount due is only accepted when the reviewer confirms it
+    if (decision === "approve" && amountReceived < order.amount && !isTrue(req.body.confirmShortfall)) {
+      return res.status(409).json({
+        error: `The amount received (${amountReceived}) is less than the ${order.amount} due; send confirmShortfall: true to approve anyway`,
+        code: "AMOUNT_SHORTFALL",
+        amountDue: order.amount,
+        amountReceived,
+        shortBy: Math.round((order.amount - amountReceived) * 100) / 100,
+      });
+    }
+
+    // A bank or Telebirr transfer can only pay for one order. Claiming the
+    // reference is what enforces it; it is given back if the approval fails.
+    let claimed = null;
+    if (decision === "approve") {
+      try {
+        claimed = await PaymentReference.create({ reference: transactionReference, order: order._id, orderId: order.id, approvedBy: req.user._id });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        const used = await PaymentReference.findOne({ reference: transactionReference }).select("orderId");
+        return res.status(409).json({
+          error: `Transaction reference ${transactionReference} was already used for order #${used?.orderId}`,
+          code: "DUPLICATE_TRANSACTION_REFERENCE",
+          orderId: used?.orderId,
+        });
+      }
+    }
+
+    const review = {
+      status: decision === "approve" ? "approved" : "rejected",
+      reviewedBy: req.user._id,
+      reviewedByName: req.user.fullName,
+      reviewedAt: new Date(),
+      ...(decision === "approve" ? { transactionReference, amountReceived } : { reason }),
+    };
+
+    // Decide the pending proof; orders moved to PaymentReview before proofs
+    // were tracked get one recorded from their paymentImage
+    const last = order.paymentProofs.length - 1;
+    const pending = last >= 0 && order.paymentProofs[last].status === "pending";
+    const set = {};
+    const push = {};
+    if (pending) {
+      Object.entries(review).forEach(([field, value]) => {
+        set[`paymentProofs.${last}.${field}`] = value;
+      });
+    } else {
+      push.paymentProofs = { image: order.paymentImage, uploadedAt: order.updatedAt, ...review };
+    }
+
+    let updated;
+    try {
+      updated = await transitionOrder(order, decision === "approve" ? "Confirmed" : "Pending", {
+        actor: req.user,
+        reason: decision === "approve" ? `Payment approved, reference ${transactionReference}` : reason,
+        set,
+        push,
+      });
+    } catch (error) {
+      if (claimed) await PaymentReference.deleteOne({ _id: claimed._id });
+      throw error;
+    }
+
+    res.json({
+      message: decision === "approve" ? "Payment approved" : "Payment rejected",
+      payment: toPaymentView(updated),
+    });
+  } catch (error) {
+    sendError(res, error, "Failed to review payment");
+  }
+};
+
+// GET /api/admin/payments - orders waiting for a payment decision, oldest first
+const getPaymentQueue = async (req, res) => {
+  try {
+    const { page, limit } = parsePaging(req.query);
+    const filter = { status: "PaymentReview" };
+    if (req.query.paymentMethod) filter.paymentMethod = req.query.paymentMethod;
+
+    const [orders, total] = await Promise.all([
+      Order.find(filter)
+        .sort({ updatedAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate("userId", "fullName email"),
+      Order.countDocuments(filter),
+    ]);
+
+    res.json({
+      payments: orders.map(toPaymentView),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    sendError(res, error, "Failed to fetch payment queue");
+  }
+};
+
+module.exports = {
+  uploadPaymentProof,
+  reviewPayment,
+  getPaymentQueue,
+};
@@ -1,57 +1,108 @@
-const { S3Client, DeleteObjectCommand } = require("@aws-sdk/client-s3");
-const multerS3 = require("multer-s3");
-const path = require("path");
-const multer = require("multer");
+const { DeleteObjectCommand } = require("@aws-sdk/client-s3");
 const mongoose = require("mongoose");
 const Product = require("../models/Product");
 const Category = require("../models/Category");
+const Review = require("../models/Review");
+const { queryProducts } = require("../utils/productQuery");
+const { s3, imageUpload, getImageUrl } = require("../utils/storage");
+const { adjustStock } = require("../utils/inventory");
+const { recordMovement } = require("../utils/stockLedger");
+const { getActivePromotions, priceProduct } = require("../utils/pricing");
+
+// Multer upload configuration (up to 10 product images)
+const upload = imageUpload(10);
+
+// Form fields arrive as strings ("true"/"false") from multipart requests
+const isTrue = (value) => value === true || value === "true";
+
+// A stock or sold count from a form field, or null unless it's a whole number >= 0
+const toCount = (value) => {
+  const count = value === null || (typeof value === "string" && value.trim() === "") ? NaN : Number(value);
+  return Number.isInteger(count) && count >= 0 ? count : null;
+};
 
-// Configure AWS S3
-const s3 = new S3Client({
-  region: process.env.AWS_REGION,
-  credentials: {
-    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-  },
-});
+// Filter value for a counter read from a document: 0 is also the schema
+// default for a counter missing in the database
+const storedCount = (value) => (value ? value : { $in: [0, null] });
+
+// Whether the caller asked for a paginated response
+const wantsPagination = (query) => query.page !== undefined || query.limit !== undefined;
+
+// Page count for a queryProducts() result; its limit is 0 when nothing matched
+// without pagination or the category is unknown
+const countPages = (result) => (result.limit > 0 ? Math.ceil(result.total / result.limit) : 0);
+
+// Send a product list from queryProducts(). Without page/limit the body stays a
+// plain array (as existing clients expect); X-Total-Count is always set.
+const sendProductList = (res, query, result, mapProduct = (product) => product) => {
+  const products = result.products.map((product) =>
+    mapProduct({
+      ...product,
+      imageUrls: (product.images || []).map(img => getImageUrl(img))
+    })
+  );
+
+  res.set("X-Total-Count", String(result.total));
+
+  if (!wantsPagination(query)) return res.json(products);
 
-// Multer upload configuration
-const upload = multer({
-  storage: multerS3({
-    s3: s3,
-    bucket: process.env.AWS_BUCKET_NAME,
-    metadata: function (req, file, cb) {
-      cb(null, { fieldName: file.fieldname });
+  res.json({
+    products,
+    pagination: {
+      page: result.page,
+      limit: result.limit,
+      total: result.total,
+      totalPages: countPages(result),
     },
-    key: function (req, file, cb) {
-      const ext = path.extname(file.originalname);
-      const fileName = `${Date.now()}-${Math.round(Math.random() * 1e9)}${ext}`;
-      cb(null, fileName);
-    }
-  }),
-  fileFilter: (req, file, cb) => {
-    const allowedMimeTypes = ['image/jpeg', 'image/png', 'image/webp'];
-    const ext = path.extname(file.originalname).toLowerCase();
-    const allowedExtensions = ['.jpg', '.jpeg', '.png', '.webp'];
-
-    if (allowedMimeTypes.includes(file.mimetype) && allowedExtensions.includes(ext)) {
-      cb(null, true);
-    } else {
-      cb(new Error(`Unsupported file format: ${file.mimetype} (${ext})`), false);
-    }
-  },
-  limits: {
-    fileSize: 5 * 1024 * 1024, // 5MB limit
-    files: 10 // Max 10 files
-  }
-}).array('images', 10);
+  });
+};
 
-// Helper function to generate image URLs
-const getImageUrl = (imageName) => {
-  if (!imageName) return null;
-  return `https://${process.env.AWS_BUCKET_NAME}.s3.${process.env.AWS_REGION}.amazonaws.com/${imageName}`;
+// Parse option definitions sent as JSON, e.g. '[{"name":"Size","values":["S","M"]}]'
+const parseOptions = (raw) => {
+  const options = typeof raw === "string" ? JSON.parse(raw) : raw;
+  if (!Array.isArray(options)) throw new Error("Options must be an array");
+
+  return options.map((option) => {
+    if (!option?.name?.trim()) throw new Error("Every option needs a name");
+    const values = (option.values || []).map((value) => String(value).trim()).filter(Boolean);
+    if (values.length === 0) throw new Error(`Option "${option.name}" needs at least one value`);
+    return { name: option.name.trim(), values };
+  });
 };
 
+// Check a variant's option values against the product's option definitions
+// and make sure no other variant already has the same combination
+const validateVariantOptions = (product, options, variantId = null) => {
+  const entries = Object.entries(options || {});
+  if (product.options.length === 0) throw new Error("Define product options before adding variants");
+
+  product.options.forEach((definition) => {
+    const value = options?.[definition.name];
+    if (!value) throw new Error(`Variant is missing a value for "${definition.name}"`);
+    if (!definition.values.includes(value)) {
+      throw new Error(`"${value}" is not a valid ${definition.name}`);
+    }
+  });
+  if (entries.length !== product.options.length) throw new Error("Variant has unknown options");
+
+  const key = product.options.map((definition) => options[definition.name]).join("|");
+  const duplicate = product.variants.find(
+    (variant) =>
+      String(variant._id) !== String(variantId) &&
+      product.options.map((definition) => variant.options.get(definition.name)).join("|") === key
+  );
+  if (duplicate) throw new Error(`A variant with these options already exists (SKU ${duplicate.sku})`);
+};
+
+// Variant as returned to clients, priced with the active promotions
+const toVariantResponse = (product, variant, promotions) => ({
+  ...variant.toObject(),
+  label: variant.label(),
+  effectivePrice: priceProduct(product, promotions, variant).price,
+  availableQuantity: variant.stockLevels().available,
+  imageUrls: (variant.images.length ? variant.images : product.images || []).map(img => getImageUrl(img)),
+});
+
 // Create product with image uploads
 const createProduct = async (req, res) => {
   try {
@@ -82,7 +133,8 @@ const createProduct = async (req, res) => {
           discount = 0,
           hasDiscount = false,
           videoLink = "",
-          rating = 0,
+          options,
+          sku,
         } = req.body;
 
         // Validate required fields
@@ -108,19 +160,23 @@ const createProduct = async (req, res) => {
         // Create new product
         const newProduct = new Product({
           name: name.trim(),
+          sku: sku?.trim() || undefined,
           price: Number(price),
           shortDescription: shortDescription?.trim() || "",
           fullDescription: fullDescription?.trim() || "",
           stockQuantity: stockQuantity ? Number(stockQuantity) : 0,
           category,
           images,
-          discount: hasDiscount ? Number(discount) : 0,
-          hasDiscount: Boolean(hasDiscount),
+          discount: isTrue(hasDiscount) ? Number(discount) : 0,
+          hasDiscount: isTrue(hasDiscount),
           videoLink: videoLink?.trim() || "",
-          rating: rating ? Number(rating) : 0,
+          options: options ? parseOptions(options) : [],
         });
 
         await newProduct.save();
+        if (newProduct.stockQuantity) {
+          await recordMovement(newProduct, { type: "receipt", quantity: newProduct.stockQuantity, reason: "Initial stock", actor: req.user });
+        }
         const populatedProduct = await Product.findById(newProduct._id).populate("category", "name");
 
         // Prepare response with image URLs
@@ -158,19 +214,11 @@ const createProduct = async (req, res) => {
   }
 };
 
-// In your productController.js, modify the getAllProducts function:
+// Get products: search, filters, sorting and pagination (see utils/productQuery)
 const getAllProducts = async (req, res) => {
   try {
-    const products = await Product.find().populate("category", "name");
-    
-    const productsWithUrls = products.map(product => ({
-      ...product.toObject(),
-      imageUrls: (product.images || []).map(img => 
-        `https://${process.env.AWS_BUCKET_NAME}.s3.${process.env.AWS_REGION}.amazonaws.com/${img}`
-      )
-    }));
-
-    res.json(productsWithUrls);
+    const result = await queryProducts(req.query);
+    sendProductList(res, req.query, result);
   } catch (error) {
     console.error("Error fetching products:", error);
     res.status(500).json({ 
@@ -185,9 +233,16 @@ const getProductById = async (req, res) => {
     const product = await Product.findById(req.params.id).populate("category", "name");
     if (!product) return res.status(404).json({ message: "Product not found" });
     
+    const promotions = await getActivePromotions();
+    const pricing = priceProduct(product, promotions);
+
     const responseProduct = {
       ...product.toObject(),
-      imageUrls: (product.images || []).map(img => getImageUrl(img))
+      imageUrls: (product.images || []).map(img => getImageUrl(img)),
+      effectivePrice: pricing.price,
+      promotion: pricing.promotion,
+      availableQuantity: product.stockLevels().available,
+      variants: product.variants.map(variant => toVariantResponse(product, variant, promotions))
     };
     
     res.json(responseProduct);
@@ -220,54 +275,97 @@ const updateProduct = async (req, res) => {
           hasDiscount,
           sold,
           videoLink,
-          rating,
+          options,
+          sku,
+          stockReason, // Why stock or sold were edited, kept in the stock ledger
         } = req.body;
 
         const product = await Product.findById(req.params.id);
         if (!product) return res.status(404).json({ message: "Product not found" });
 
+        if (product.variants.length > 0 && (sold !== undefined || stockQuantity !== undefined)) {
+          return res.status(400).json({ message: "Stock and sold are managed per variant for this product" });
+        }
+
         let updateData = {};
 
         if (name) updateData.name = name;
-        if (price) updateData.price = price;
+        if (sku !== undefined) {
+          if (sku.trim()) updateData.sku = sku.trim();
+          else updateData.$unset = { sku: 1 };
+        }
+        if (price) {
+          if (!(Number(price) >= 0)) return res.status(400).json({ message: "Price must be a number of at least 0" });
+          updateData.price = Number(price);
+        }
         if (shortDescription) updateData.shortDescription = shortDescription;
         if (fullDescription) updateData.fullDescription = fullDescription;
-        if (discount !== undefined) updateData.discount = hasDiscount === "true" ? discount : 0;
-        if (hasDiscount !== undefined) updateData.hasDiscount = hasDiscount === "true";
+        if (discount !== undefined) updateData.discount = isTrue(hasDiscount) ? Number(discount) || 0 : 0;
+        if (hasDiscount !== undefined) updateData.hasDiscount = isTrue(hasDiscount);
         if (videoLink) updateData.videoLink = videoLink;
-        if (rating) updateData.rating = rating;
-
-        // Handle sold count and stock adjustment
-        if (sold !== undefined) {
-          const newSold = Number(sold);
-          if (newSold < product.sold) {
-            return res.status(400).json({ message: "Sold count cannot decrease" });
-          }
-
-          const increaseInSold = newSold - product.sold;
-          if (increaseInSold > 0) {
-            const newStockQuantity = product.stockQuantity - increaseInSold;
-            if (newStockQuantity < 0) {
-              return res.status(400).json({ message: "Not enough stock available" });
-            }
-            updateData.stockQuantity = newStockQuantity;
+        if (options !== undefined) {
+          if (product.variants.length > 0) {
+            return res.status(400).json({ message: "Remove the variants before changing product options" });
           }
-
-          updateData.sold = newSold;
+          updateData.options = parseOptions(options);
         }
 
-        if (stockQuantity !== undefined) {
-          updateData.stockQuantity = Number(stockQuantity);
+        // Sold count edits are recorded as sales, stock edits as adjustments.
+        // Both are checked here, before anything is written.
+        const newSold = sold !== undefined ? toCount(sold) : product.sold;
+        if (newSold === null) return res.status(400).json({ message: "Sold must be a whole number of at least 0" });
+        if (newSold < product.sold) {
+          return res.status(400).json({ message: "Sold count cannot decrease" });
+        }
+        const increaseInSold = newSold - product.sold;
+        if (increaseInSold > product.stockQuantity) {
+          return res.status(400).json({ message: "Not enough stock available" });
+        }
+        const newStockQuantity = stockQuantity !== undefined ? toCount(stockQuantity) : product.stockQuantity - increaseInSold;
+        if (newStockQuantity === null) {
+          return res.status(400).json({ message: "Stock quantity must be a whole number of at least 0" });
+        }
+        if (newStockQuantity < (product.reservedQuantity || 0) && newStockQuantity < product.stockQuantity) {
+          return res.status(409).json({
+            message: `Only ${product.stockLevels().available} unreserved units can be removed`,
+            code: "INSUFFICIENT_STOCK",
+          });
         }
 
         // Validate and update category
         if (category) {
-          const existingCategory = await Category.findById(category);
+          const existingCategory = mongoose.Types.ObjectId.isValid(category) ? await Category.findById(category) : null;
           if (!existingCategory) return res.status(400).json({ message: "Invalid category ID" });
           updateData.category = category;
         }
 
-        // Handle image upload
+        try {
+          if (increaseInSold > 0) {
+            await adjustStock({
+              productId: product._id,
+              type: "sale",
+              quantity: -increaseInSold,
+              soldDelta: increaseInSold,
+              reason: stockReason || "Sold count edited",
+              actor: req.user,
+            });
+          }
+          const stockChange = newStockQuantity - (product.stockQuantity - increaseInSold);
+          if (stockChange !== 0) {
+            await adjustStock({
+              productId: product._id,
+              type: "adjustment",
+              quantity: stockChange,
+              reason: stockReason || "Stock quantity edited",
+              actor: req.user,
+            });
+          }
+        } catch (error) {
+          if (error.code !== "INSUFFICIENT_STOCK") throw error;
+          return res.status(error.status).json({ message: error.message, code: error.code });
+        }
+
+        // Handle image upload (old images go only once the update can't be refused)
         if (req.files && req.files.length > 0) {
           // Delete old images
           if (product.images && product.images.length > 0) {
@@ -351,8 +449,9 @@ const deleteProduct = async (req, res) => {
       }
     }
 
-    // Delete the product from database
+    // Delete the product and its reviews from database
     await Product.findByIdAndDelete(productId);
+    await Review.deleteMany({ productId });
     
     res.json({ 
       success: true,
@@ -371,67 +470,46 @@ const deleteProduct = async (req, res) => {
   }
 };
 
-// Get discounted products
+// Get discounted products (preset over queryProducts)
 const getDiscountedProducts = async (req, res) => {
   try {
-    const discountedProducts = await Product.find({
-      hasDiscount: true,
-      discount: { $gt: 0 },
-    }).populate("category", "name");
+    const result = await queryProducts({ ...req.query, discounted: true });
 
-    const productsWithUrls = discountedProducts.map(product => ({
-      ...product.toObject(),
-      imageUrls: (product.images || []).map(img => getImageUrl(img)),
+    sendProductList(res, req.query, result, (product) => ({
+      ...product,
       originalPrice: product.price,
-      calculatedPrice: product.price - (product.price * product.discount) / 100,
+      calculatedPrice: product.effectivePrice,
+      promotionEndsAt: product.promotion?.endsAt, // For flash-sale countdowns
     }));
-
-    res.json(productsWithUrls);
   } catch (error) {
     res.status(500).json({ message: "Server error", error: error.message });
   }
 };
 
-// Get best sellers
+// Get best sellers (preset over queryProducts, top 5 by default)
 const getBestSellers = async (req, res) => {
   try {
-    const bestSellers = await Product.find()
-      .sort({ sold: -1 })
-      .limit(5)
-      .populate("category", "name");
+    const limit = req.query.limit || 5;
+    const result = await queryProducts({ ...req.query, sort: "best_selling", page: 1, limit });
 
-    const productsWithUrls = bestSellers.map((product, index) => ({
-      ...product.toObject(),
-      rank: index + 1,
-      imageUrls: (product.images || []).map(img => getImageUrl(img))
-    }));
-
-    res.json(productsWithUrls);
+    let rank = 0;
+    sendProductList(res, {}, result, (product) => ({ ...product, rank: ++rank }));
   } catch (error) {
     res.status(500).json({ message: "Server error", error: error.message });
   }
 };
 
-// Get non-discounted products
+// Get non-discounted products (preset over queryProducts)
 const getNonDiscountedProducts = async (req, res) => {
   try {
-    const nonDiscountedProducts = await Product.find({
-      hasDiscount: false,
-      discount: 0,
-    }).populate("category", "name");
-
-    const productsWithUrls = nonDiscountedProducts.map(product => ({
-      ...product.toObject(),
-      imageUrls: (product.images || []).map(img => getImageUrl(img))
-    }));
-
-    res.json(productsWithUrls);
+    const result = await queryProducts({ ...req.query, discounted: false });
+    sendProductList(res, req.query, result);
   } catch (error) {
     res.status(500).json({ message: "Server error", error: error.message });
   }
 };
 
-// Get products by category
+// Get products by category (preset over queryProducts)
 const getProductsByCategory = async (req, res) => {
   try {
     const { categoryId } = req.params;
@@ -447,11 +525,10 @@ const getProductsByCategory = async (req, res) => {
       return res.status(404).json({ message: "Category not found" });
     }
 
-    // 3. Find products in this category
-    const products = await Product.find({ category: categoryId })
-      .populate("category", "name _id");
+    // 3. Find products in this category, with any other filters from the query
+    const result = await queryProducts({ ...req.query, category: categoryId });
 
-    if (products.length === 0) {
+    if (result.total === 0) {
       return res.status(200).json({
         message: "No products found in this category",
         products: [],
@@ -460,16 +537,22 @@ const getProductsByCategory = async (req, res) => {
     }
 
     // 4. Add image URLs to each product
-    const productsWithUrls = products.map(product => ({
-      ...product.toObject(),
-      imageUrls: product.images.map(img => 
-        `https://${process.env.AWS_BUCKET_NAME}.s3.${process.env.AWS_REGION}.amazonaws.com/${img}`
-      )
+    const products = result.products.map(product => ({
+      ...product,
+      imageUrls: (product.images || []).map(img => getImageUrl(img))
     }));
 
     res.json({
       categoryName: category.name,
-      products: productsWithUrls
+      products,
+      ...(wantsPagination(req.query) && {
+        pagination: {
+          page: result.page,
+          limit: result.limit,
+          total: result.total,
+          totalPages: countPages(result),
+        },
+      }),
     });
 
   } catch (error) {
@@ -481,6 +564,278 @@ const getProductsByCategory = async (req, res) => {
   }
 };
 
+// Add a variant: multipart with sku, options (JSON), price, stockQuantity and optional images
+const addVariant = async (req, res) => {
+  upload(req, res, async (err) => {
+    if (err) {
+      console.error("Upload error:", err);
+      return res.status(400).json({ message: "File upload failed", error: err.message });
+    }
+
+    try {
+      const product = await Product.findById(req.params.id);
+      if (!product) return res.status(404).json({ message: "Product not found" });
+
+      const { sku, price, stockQuantity } = req.body;
+      if (!sku?.trim()) return res.status(400).json({ message: "SKU is required" });
+
+      const initialStock = stockQuantity ? Number(stockQuantity) : 0;
+      if (!Number.isInteger(initialStock) || initialStock < 0) {
+        return res.status(400).json({ message: "Stock quantity must be a whole number of at least 0" });
+      }
+
+      const options = typeof req.body.options === "string" ? JSON.parse(req.body.options) : req.body.options;
+      validateVariantOptions(product, options);
+
+      // The first variant takes over the product's own stock and sold count, so
+      // the totals don't change. Units reserved by open product-level orders
+      // couldn't be matched to a variant, so those orders must finish first.
+      const first = product.variants.length === 0;
+      if (first && product.reservedQuantity > 0) {
+        return res.status(409).json({
+          message: "Units of this product are reserved by open orders; add variants once they are delivered or cancelled",
+        });
+      }
+      const carried = first ? { stockQuantity: product.stockQuantity || 0, sold: product.sold || 0 } : { stockQuantity: 0, sold: 0 };
+
+      const variantId = new mongoose.Types.ObjectId();
+      const updated = await Product.findOneAndUpdate(
+        {
+          _id: product._id,
+          ...(first
+            ? {
+                variants: { $size: 0 },
+                stockQuantity: storedCount(carried.stockQuantity),
+                sold: storedCount(carried.sold),
+                reservedQuantity: { $not: { $gt: 0 } },
+              }
+            : { "variants.0": { $exists: true } }),
+        },
+        {
+          $push: {
+            variants: {
+              _id: variantId,
+              sku: sku.trim(),
+              options,
+              price: price !== undefined && price !== "" ? Number(price) : undefined,
+              stockQuantity: carried.stockQuantity + initialStock,
+              sold: carried.sold,
+              images: req.files?.map(file => file.key) || [],
+            },
+          },
+          $inc: { stockQuantity: initialStock },
+        },
+        { new: true, runValidators: true }
+      );
+      if (!updated) {
+        return res.status(409).json({ message: "The product's stock changed meanwhile, please try again" });
+      }
+
+      // Ledger: the product's stock moves into the variant, then the initial stock
+      // is received. Each entry is recorded against the balance it leaves behind.
+      const variant = updated.findVariant(variantId);
+      if (carried.stockQuantity || carried.sold) {
+        product.stockQuantity = 0;
+        product.sold = 0;
+        await recordMovement(product, {
+          type: "adjustment",
+          quantity: -carried.stockQuantity,
+          soldDelta: -carried.sold,
+          reason: `Moved into variant ${variant.sku}`,
+          actor: req.user,
+        });
+
+        variant.stockQuantity = carried.stockQuantity;
+        await recordMovement(updated, {
+          variantId,
+          type: "adjustment",
+          quantity: carried.stockQuantity,
+          soldDelta: carried.sold,
+          reason: "Carried over from the product",
+          actor: req.user,
+        });
+        variant.stockQuantity = carried.stockQuantity + initialStock;
+      }
+      if (initialStock) {
+        await recordMovement(updated, { variantId, type: "receipt", quantity: initialStock, reason: "Initial stock", actor: req.user });
+      }
+      res.status(201).json({ message: "Variant added successfully", variant: toVariantResponse(updated, variant, await getActivePromotions()) });
+    } catch (error) {
+      console.error("Add variant error:", error);
+      const status = error.code === 11000 ? 409 : 400;
+      res.status(status).json({
+        message: error.code === 11000 ? "SKU already in use" : "Failed to add variant",
+        error: error.message
+      });
+    }
+  });
+};
+
+// Update a variant's SKU, options, price, stock or images
+const updateVariant = async (req, res) => {
+  upload(req, res, async (err) => {
+    if (err) {
+      console.error("Upload error:", err);
+      return res.status(400).json({ message: "File upload failed", error: err.message });
+    }
+
+    try {
+      const product = await Product.findById(req.params.id);
+      if (!product) return res.status(404).json({ message: "Product not found" });
+
+      const variant = product.findVariant(req.params.variantId);
+      if (!variant) return res.status(404).json({ message: "Variant not found" });
+
+      const { sku, price, stockQuantity, stockReason } = req.body;
+
+      if (req.body.options !== undefined) {
+        const options = typeof req.body.options === "string" ? JSON.parse(req.body.options) : req.body.options;
+        validateVariantOptions(product, options, variant._id);
+        variant.options = options;
+      }
+      if (sku?.trim()) variant.sku = sku.trim();
+      if (price !== undefined) variant.price = price === "" || price === null ? undefined : Number(price);
+
+      if (req.files && req.files.length > 0) {
+        await Promise.all(variant.images.map(imageKey =>
+          s3.send(new DeleteObjectCommand({
+            Bucket: process.env.AWS_BUCKET_NAME,
+            Key: imageKey,
+          })).catch(console.error)
+        ));
+        variant.images = req.files.map(file => file.key);
+      }
+
+      await product.save();
+
+      // Stock edits go through the ledger as adjustments
+      let updated = product;
+      const stockChange = stockQuantity !== undefined ? Number(stockQuantity) - variant.stockQuantity : 0;
+      if (stockChange) {
+        try {
+          ({ product: updated } = await adjustStock({
+            productId: product._id,
+            variantId: variant._id,
+            type: "adjustment",
+            quantity: stockChange,
+            reason: stockReason || "Stock quantity edited",
+            actor: req.user,
+          }));
+        } catch (error) {
+          if (error.code !== "INSUFFICIENT_STOCK") throw error;
+          return res.status(error.status).json({ message: error.message, code: error.code });
+        }
+      }
+
+      res.json({ message: "Variant updated successfully", variant: toVariantResponse(updated, updated.findVariant(variant._id), await getActivePromotions()) });
+    } catch (error) {
+      console.error("Update variant error:", error);
+      const status = error.code === 11000 ? 409 : 400;
+      res.status(status).json({
+        message: error.code === 11000 ? "SKU already in use" : "Failed to update variant",
+        error: error.message
+      });
+    }
+  });
+};
+
+// Delete a variant and its images. Its counters come off the product totals
+// in the same atomic update (so reservations on sibling variants made
+// meanwhile are kept), and the stock that goes with it is written to the ledger.
+const deleteVariant = async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    if (!product) return res.status(404).json({ message: "Product not found" });
+
+    const variant = product.findVariant(req.params.variantId);
+    if (!variant) return res.status(404).json({ message: "Variant not found" });
+    if (variant.reservedQuantity > 0) {
+      return res.status(409).json({ message: "Variant has units reserved by open orders" });
+    }
+
+    const stockQuantity = variant.stockQuantity || 0;
+    const sold = variant.sold || 0;
+    const last = product.variants.length === 1;
+
+    // Only while the variant still holds what was read above; the last
+    // variant takes the product totals down to zero with it
+    const removed = await Product.findOneAndUpdate(
+      {
+        _id: product._id,
+        variants: {
+          $elemMatch: { _id: variant._id, stockQuantity: storedCount(stockQuantity), sold: storedCount(sold), reservedQuantity: { $not: { $gt: 0 } } },
+        },
+        ...(last && { "variants.1": { $exists: false } }),
+      },
+      {
+        $pull: { variants: { _id: variant._id } },
+        ...(last
+          ? { $set: { stockQuantity: 0, reservedQuantity: 0, sold: 0 } }
+          : { $inc: { stockQuantity: -stockQuantity, sold: -sold } }),
+      },
+      { new: true }
+    );
+    if (!removed) {
+      return res.status(409).json({ message: "The variant's stock changed meanwhile, please try again" });
+    }
+
+    // Recorded against the variant as it was, ending at zero
+    if (stockQuantity || sold) {
+      variant.stockQuantity = 0;
+      variant.sold = 0;
+      await recordMovement(product, {
+        variantId: variant._id,
+        type: "adjustment",
+        quantity: -stockQuantity,
+        soldDelta: -sold,
+        reason: "Variant removed",
+        actor: req.user,
+      });
+    }
+
+    await Promise.all(variant.images.map(imageKey =>
+      s3.send(new DeleteObjectCommand({
+        Bucket: process.env.AWS_BUCKET_NAME,
+        Key: imageKey,
+      })).catch(console.error)
+    ));
+
+    res.json({ message: "Variant deleted successfully", deletedVariantId: req.params.variantId });
+  } catch (error) {
+    console.error("Delete variant error:", error);
+    res.status(500).json({ message: "Failed to delete variant", error: error.message });
+  }
+};
+
+// On-hand, reserved and available quantities for a product and each variant
+const getProductStock = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid product ID format" });
+    }
+
+    const product = await Product.findById(req.params.id).select("name stockQuantity reservedQuantity sold variants");
+    if (!product) return res.status(404).json({ message: "Product not found" });
+
+    res.json({
+      productId: product._id,
+      name: product.name,
+      ...product.stockLevels(),
+      sold: product.sold,
+      variants: product.variants.map(variant => ({
+        variantId: variant._id,
+        sku: variant.sku,
+        label: variant.label(),
+        ...variant.stockLevels(),
+        sold: variant.sold,
+      })),
+    });
+  } catch (error) {
+    console.error("Get product stock error:", error);
+    res.status(500).json({ message: "Failed to fetch stock levels", error: error.message });
+  }
+};
+
 module.exports = {
   createProduct,
   updateProduct,
@@ -491,5 +846,9 @@ module.exports = {
   getBestSellers,
   getNonDiscountedProducts,
   getProductsByCategory,
+  addVariant,
+  updateVariant,
+  deleteVariant,
+  getProductStock,
   upload
 };
\ No newline at end of file
@@ -0,0 +1,271 @@
+const multer = require("multer");
+const path = require("path");
+const Product = require("../models/Product");
+const Category = require("../models/Category");
+const { queryProducts, escapeRegex } = require("../utils/productQuery");
+const { parseCsvRecords, toCsv } = require("../utils/csv");
+const { uploadImageFromUrl, getImageUrl, deleteImages } = require("../utils/storage");
+const { adjustStock } = require("../utils/inventory");
+const { recordMovement } = require("../utils/stockLedger");
+
+// CSV file in the "file" field, kept in memory
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() === ".csv") {
+      cb(null, true);
+    } else {
+      cb(new Error("Please upload a .csv file"), false);
+    }
+  },
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB
+}).single("file");
+
+const MAX_ROWS = 2000;
+
+// Columns the import understands; export writes these plus READ_ONLY_COLUMNS.
+// `images` holds image URLs separated by "|".
+const COLUMNS = [
+  "sku",
+  "name",
+  "category",
+  "price",
+  "discount",
+  "hasDiscount",
+  "stockQuantity",
+  "shortDescription",
+  "fullDescription",
+  "videoLink",
+  "images",
+];
+const READ_ONLY_COLUMNS = ["effectivePrice", "availableQuantity", "sold", "rating", "reviewCount"];
+
+const BOOLEANS = { true: true, yes: true, 1: true, false: false, no: false, 0: false };
+
+// Turn one CSV record into product fields; collects problems in `errors`.
+// Blank cells are left out so updates keep the current value.
+const parseRecord = (record, categories, errors) => {
+  const fields = {};
+  const text = (column) => record[column] ?? "";
+
+  if (text("sku")) fields.sku = text("sku");
+  if (text("name")) fields.name = text("name");
+  if (text("shortDescription")) fields.shortDescription = text("shortDescription");
+  if (text("fullDescription")) fields.fullDescription = text("fullDescription");
+  if (text("videoLink")) fields.videoLink = text("videoLink");
+
+  if (text("category")) {
+    const category = categories.get(text("category").toLowerCase());
+    if (category) fields.category = category._id;
+    else errors.push(`Unknown category "${text("category")}"`);
+  }
+
+  if (text("price")) {
+    const price = Number(text("price"));
+    if (isNaN(price) || price <= 0) errors.push("Price must be a positive number");
+    else fields.price = price;
+  }
+
+  if (text("stockQuantity")) {
+    const stockQuantity = Number(text("stockQuantity"));
+    if (!Number.isInteger(stockQuantity) || stockQuantity < 0) errors.push("Stock quantity must be a whole number of at least 0");
+    else fields.stockQuantity = stockQuantity;
+  }
+
+  if (text("hasDiscount")) {
+    const hasDiscount = BOOLEANS[text("hasDiscount").toLowerCase()];
+    if (hasDiscount === undefined) errors.push("hasDiscount must be true or false");
+    else fields.hasDiscount = hasDiscount;
+  }
+
+  if (text("discount")) {
+    const discount = Number(text("discount"));
+    if (isNaN(discount) || discount < 0 || discount > 100) errors.push("Discount must be a percentage from 0 to 100");
+    else fields.discount = discount;
+  }
+
+  if (text("images")) {
+    fields.images = text("images").split("|").map((url) => url.trim()).filter(Boolean);
+    fields.images.forEach((url) => {
+      if (!/^https?:\/\//i.test(url)) errors.push(`Image "${url}" is not an http(s) URL`);
+    });
+  }
+
+  return fields;
+};
+
+// Existing product a row updates: by SKU when given, otherwise by exact name
+const findExisting = (fields) => {
+  if (fields.sku) return Product.findOne({ sku: fields.sku });
+  if (fields.name) return Product.findOne({ name: new RegExp(`^${escapeRegex(fields.name)}$`, "i") });
+  return null;
+};
+
+// Check a row and work out whether it creates or updates a product
+const planRow = async (record, index, categories, seenKeys) => {
+  const errors = [];
+  const fields = parseRecord(record, categories, errors);
+  const key = fields.sku ? `sku:${fields.sku}` : `name:${(fields.name || "").toLowerCase()}`;
+
+  if (!fields.sku && !fields.name) errors.push("Each row needs a sku or a name");
+  if (seenKeys.has(key)) errors.push(`Duplicate of row ${seenKeys.get(key)}`);
+  else seenKeys.set(key, index);
+
+  const existing = errors.length === 0 ? await findExisting(fields) : null;
+  if (existing) {
+    if (existing.variants.length > 0 && fields.stockQuantity !== undefined) {
+      errors.push("Stock is managed per variant for this product");
+    }
+  } else {
+    if (!fields.name) errors.push("Name is required for new products");
+    if (fields.price === undefined) errors.push("Price is required for new products");
+    if (!fields.category) errors.push("Category is required for new products");
+  }
+
+  return { row: index, action: existing ? "update" : "create", existing, fields, errors };
+};
+
+// Write one planned row: fetch images, then create or update the product
+const applyRow = async (plan, actor) => {
+  const { fields, existing } = plan;
+  const { stockQuantity, images: imageUrls, ...data } = fields;
+
+  let images;
+  if (imageUrls) {
+    images = [];
+    try {
+      for (const url of imageUrls) images.push(await uploadImageFromUrl(url));
+    } catch (error) {
+      await deleteImages(images);
+      throw error;
+    }
+    data.images = images;
+  }
+  if (data.hasDiscount === false) data.discount = 0;
+
+  try {
+    if (!existing) {
+      const product = await Product.create({ ...data, stockQuantity: stockQuantity || 0 });
+      if (product.stockQuantity) {
+        await recordMovement(product, { type: "receipt", quantity: product.stockQuantity, reason: "Initial stock (CSV import)", actor });
+      }
+      return product;
+    }
+
+    const previousImages = images ? existing.images : [];
+    const product = await Product.findByIdAndUpdate(existing._id, data, { new: true, runValidators: true });
+    await deleteImages(previousImages);
+
+    if (stockQuantity !== undefined && stockQuantity !== product.stockQuantity) {
+      await adjustStock({
+        productId: product._id,
+        type: "adjustment",
+        quantity: stockQuantity - product.stockQuantity,
+        reason: "CSV import",
+        actor,
+      });
+    }
+    return product;
+  } catch (error) {
+    if (images) await deleteImages(images);
+    throw error;
+  }
+};
+
+// Import products from a CSV file (multipart field "file"). Rows are matched
+// to existing products by sku, or by name when sku is blank, and updated;
+// other rows create products. With ?dryRun=true nothing is written and the
+// planned action and validation errors are returned for every row.
+const importProducts = async (req, res) => {
+  csvUpload(req, res, async (err) => {
+    if (err) {
+      return res.status(400).json({ message: "File upload failed", error: err.message });
+    }
+    if (!req.file) {
+      return res.status(400).json({ message: "Please upload a CSV file in the \"file\" field" });
+    }
+
+    try {
+      const dryRun = ["true", "1"].includes(String(req.query.dryRun ?? req.body.dryRun));
+
+      let parsed;
+      try {
+        parsed = parseCsvRecords(req.file.buffer.toString("utf8"));
+      } catch (error) {
+        return res.status(400).json({ message: "Could not read CSV file", error: error.message });
+      }
+
+      const { columns, records } = parsed;
+      if (records.length === 0) return res.status(400).json({ message: "The CSV file has no rows" });
+      if (records.length > MAX_ROWS) {
+        return res.status(400).json({ message: `Import at most ${MAX_ROWS} rows at a time` });
+      }
+      const ignoredColumns = columns.filter((column) => !COLUMNS.includes(column) && !READ_ONLY_COLUMNS.includes(column));
+
+      const categories = new Map((await Category.find().select("name")).map((category) => [category.name.toLowerCase(), category]));
+      const seenKeys = new Map();
+      const plans = [];
+      // Row numbers match the spreadsheet: the header is row 1
+      for (const [index, record] of records.entries()) {
+        plans.push(await planRow(record, index + 2, categories, seenKeys));
+      }
+
+      const results = [];
+      for (const plan of plans) {
+        const result = { row: plan.row, action: plan.action, sku: plan.fields.sku, name: plan.fields.name || plan.existing?.name, errors: plan.errors };
+        if (plan.errors.length > 0) {
+          result.action = "skip";
+        } else if (!dryRun) {
+          try {
+            const product = await applyRow(plan, req.user);
+            result.productId = product._id;
+          } catch (error) {
+            result.action = "skip";
+            result.errors = [error.code === 11000 ? "SKU already in use" : error.message];
+          }
+        }
+        results.push(result);
+      }
+
+      const count = (action) => results.filter((result) => result.action === action).length;
+      res.status(dryRun ? 200 : 201).json({
+        dryRun,
+        summary: { rows: results.length, created: count("create"), updated: count("update"), skipped: count("skip") },
+        ignoredColumns,
+        rows: results,
+      });
+    } catch (error) {
+      console.error("Product import error:", error);
+      res.status(500).json({ message: "Failed to import products", error: error.message });
+    }
+  });
+};
+
+// Export the product list as CSV; accepts the same filters and sorting as GET /api/products
+const exportProducts = async (req, res) => {
+  try {
+    const format = req.query.format || "csv";
+    if (format !== "csv") return res.status(400).json({ message: "Only format=csv is supported" });
+
+    const { products } = await queryProducts(req.query);
+    const records = products.map((product) => ({
+      ...product,
+      category: product.category?.name,
+      images: (product.images || []).map((img) => getImageUrl(img)).join("|"),
+    }));
+
+    const fileName = `products-${new Date().toISOString().slice(0, 10)}.csv`;
+    res.set("Content-Type", "text/csv; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="${fileName}"`);
+    res.set("X-Total-Count", String(products.length));
+    res.send(toCsv([...COLUMNS, ...READ_ONLY_COLUMNS], records));
+  } catch (error) {
+    console.error("Product export error:", error);
+    res.status(500).json({ message: "Failed to export products", error: error.message });
+  }
+};
+
+module.exports = {
+  importProducts,
+  exportProducts,
+};
@@ -0,0 +1,142 @@
+const mongoose = require("mongoose");
+const Promotion = require("../models/Promotion");
+const Product = require("../models/Product");
+const Category = require("../models/Category");
+
+const EDITABLE_FIELDS = ["name", "description", "scope", "categories", "products", "discountType", "value", "startsAt", "endsAt", "enabled"];
+
+const toPromotionResponse = (promotion, now = new Date()) => ({
+  ...promotion.toObject(),
+  status: promotion.statusAt(now),
+});
+
+// Make sure every targeted product or category exists
+const checkTargets = async (promotion) => {
+  const checks = { categories: Category, products: Product };
+  const Model = checks[promotion.scope];
+  if (!Model) return null;
+
+  const ids = promotion[promotion.scope];
+  if (ids.length === 0) return `Choose at least one of the ${promotion.scope} this promotion applies to`;
+  const found = await Model.countDocuments({ _id: { $in: ids } });
+  return found === ids.length ? null : `Some of the selected ${promotion.scope} do not exist`;
+};
+
+const pickFields = (body) =>
+  Object.fromEntries(EDITABLE_FIELDS.filter((field) => body[field] !== undefined).map((field) => [field, body[field]]));
+
+// List promotions, soonest ending first. Filter: status (scheduled, active, ended, disabled)
+const getPromotions = async (req, res) => {
+  try {
+    const now = new Date();
+    const filters = {
+      scheduled: { enabled: true, startsAt: { $gt: now } },
+      active: { enabled: true, startsAt: { $lte: now }, endsAt: { $gt: now } },
+      ended: { enabled: true, endsAt: { $lte: now } },
+      disabled: { enabled: false },
+    };
+    const { status } = req.query;
+    if (status && !filters[status]) {
+      return res.status(400).json({ message: `Status must be one of: ${Object.keys(filters).join(", ")}` });
+    }
+
+    const promotions = await Promotion.find(filters[status] || {}).sort({ endsAt: 1 });
+    res.json(promotions.map((promotion) => toPromotionResponse(promotion, now)));
+  } catch (error) {
+    console.error("Error fetching promotions:", error);
+    res.status(500).json({ message: "Failed to fetch promotions", error: error.message });
+  }
+};
+
+// Promotions customers can use right now (for banners and countdowns)
+const getActivePromotionsList = async (req, res) => {
+  try {
+    const now = new Date();
+    const promotions = await Promotion.find({ enabled: true, startsAt: { $lte: now }, endsAt: { $gt: now } })
+      .select("name description scope categories products discountType value startsAt endsAt")
+      .sort({ endsAt: 1 });
+    res.json(promotions);
+  } catch (error) {
+    console.error("Error fetching active promotions:", error);
+    res.status(500).json({ message: "Failed to fetch promotions", error: error.message });
+  }
+};
+
+const getPromotionById = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid promotion ID" });
+    }
+    const promotion = await Promotion.findById(req.params.id);
+    if (!promotion) return res.status(404).json({ message: "Promotion not found" });
+    res.json(toPromotionResponse(promotion));
+  } catch (error) {
+    res.status(500).json({ message: "Failed to fetch promotion", error: error.message });
+  }
+};
+
+const createPromotion = async (req, res) => {
+  try {
+    const promotion = new Promotion({ ...pickFields(req.body), createdBy: req.user._id });
+    await promotion.validate();
+
+    const targetError = await checkTargets(promotion);
+    if (targetError) return res.status(400).json({ message: targetError });
+
+    await promotion.save();
+    res.status(201).json({ message: "Promotion created successfully", promotion: toPromotionResponse(promotion) });
+  } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError || error instanceof mongoose.Error.CastError) {
+      return res.status(400).json({ message: "Invalid promotion", error: error.message });
+    }
+    console.error("Create promotion error:", error);
+    res.status(500).json({ message: "Failed to create promotion", error: error.message });
+  }
+};
+
+const updatePromotion = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid promotion ID" });
+    }
+    const promotion = await Promotion.findById(req.params.id);
+    if (!promotion) return res.status(404).json({ message: "Promotion not found" });
+
+    promotion.set(pickFields(req.body));
+    await promotion.validate();
+
+    const targetError = await checkTargets(promotion);
+    if (targetError) return res.status(400).json({ message: targetError });
+
+    await promotion.save();
+    res.json({ message: "Promotion updated successfully", promotion: toPromotionResponse(promotion) });
+  } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError || error instanceof mongoose.Error.CastError) {
+      return res.status(400).json({ message: "Invalid promotion", error: error.message });
+    }
+    console.error("Update promotion error:", error);
+    res.status(500).json({ message: "Failed to update promotion", error: error.message });
+  }
+};
+
+const deletePromotion = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid promotion ID" });
+    }
+    const promotion = await Promotion.findByIdAndDelete(req.params.id);
+    if (!promotion) return res.status(404).json({ message: "Promotion not found" });
+    res.json({ message: "Promotion deleted successfully", deletedPromotionId: promotion._id });
+  } catch (error) {
+    res.status(500).json({ message: "Failed to delete promotion", error: error.message });
+  }
+};
+
+module.exports = {
+  getPromotions,
+  getActivePromotionsList,
+  getPromotionById,
+  createPromotion,
+  updatePromotion,
+  deletePromotion,
+};
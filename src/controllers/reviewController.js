@@ -0,0 +1,300 @@
+const mongoose = require("mongoose");
+const Review = require("../models/Review");
+const { REVIEW_STATUSES } = require("../models/Review");
+const Product = require("../models/Product");
+const Order = require("../models/Order");
+const { ROLES } = require("../config/permissions");
+const { imageUpload, getImageUrl, deleteImages } = require("../utils/storage");
+
+// Up to 5 photos per review
+const upload = imageUpload(5);
+
+const SORTS = {
+  newest: { createdAt: -1 },
+  highest: { rating: -1, createdAt: -1 },
+  lowest: { rating: 1, createdAt: -1 },
+};
+
+const parsePaging = (query) => ({
+  page: Math.max(1, parseInt(query.page) || 1),
+  limit: Math.min(50, Math.max(1, parseInt(query.limit) || 10)),
+});
+
+// Whole star rating between 1 and 5, or null
+const parseRating = (value) => {
+  const rating = Number(value);
+  return Number.isInteger(rating) && rating >= 1 && rating <= 5 ? rating : null;
+};
+
+const toReviewResponse = (review) => {
+  const data = review.toObject ? review.toObject() : review;
+  return {
+    ...data,
+    imageUrls: (data.images || []).map(img => getImageUrl(img)),
+  };
+};
+
+// Most recent Delivered order of this user containing the product
+const findDeliveredOrder = (userId, productId) =>
+  Order.findOne({ userId, status: "Delivered", "orderDetails.productId": productId })
+    .sort({ createdAt: -1 })
+    .select("id");
+
+// Public list of published reviews with a rating histogram.
+// Query: page, limit, sort (newest, highest, lowest), rating (1-5)
+const getProductReviews = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid product ID format" });
+    }
+
+    const product = await Product.findById(id).select("rating reviewCount");
+    if (!product) return res.status(404).json({ message: "Product not found" });
+
+    const { page, limit } = parsePaging(req.query);
+    const filter = { productId: product._id, status: "published" };
+    if (req.query.rating !== undefined) {
+      const rating = parseRating(req.query.rating);
+      if (!rating) return res.status(400).json({ message: "Rating filter must be between 1 and 5" });
+      filter.rating = rating;
+    }
+
+    const [reviews, total, buckets] = await Promise.all([
+      Review.find(filter)
+        .sort(SORTS[req.query.sort] || SORTS.newest)
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate("userId", "fullName"),
+      Review.countDocuments(filter),
+      Review.aggregate([
+        { $match: { productId: product._id, status: "published" } },
+        { $group: { _id: "$rating", count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const histogram = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    buckets.forEach((bucket) => { histogram[bucket._id] = bucket.count; });
+
+    res.json({
+      productId: product._id,
+      rating: product.rating,
+      reviewCount: product.reviewCount,
+      histogram,
+      reviews: reviews.map(toReviewResponse),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching reviews:", error);
+    res.status(500).json({ message: "Failed to fetch reviews", error: error.message });
+  }
+};
+
+// Post a review (multipart: rating, text, images). Only customers with a
+// Delivered order containing the product may review it, once.
+const createReview = async (req, res) => {
+  upload(req, res, async (err) => {
+    if (err) {
+      console.error("Upload error:", err);
+      return res.status(400).json({ message: "File upload failed", error: err.message });
+    }
+
+    const uploaded = req.files?.map(file => file.key) || [];
+
+    try {
+      const { id } = req.params;
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        await deleteImages(uploaded);
+        return res.status(400).json({ message: "Invalid product ID format" });
+      }
+
+      const rating = parseRating(req.body.rating);
+      if (!rating) {
+        await deleteImages(uploaded);
+        return res.status(400).json({ message: "Rating must be a whole number from 1 to 5" });
+      }
+
+      const product = await Product.findById(id).select("_id");
+      if (!product) {
+        await deleteImages(uploaded);
+        return res.status(404).json({ message: "Product not found" });
+      }
+
+      const order = await findDeliveredOrder(req.user.id, product._id);
+      if (!order) {
+        await deleteImages(uploaded);
+        return res.status(403).json({
+          message: "You can only review products from your delivered orders",
+          code: "REVIEW_NOT_ELIGIBLE",
+        });
+      }
+
+      const review = await Review.create({
+        productId: product._id,
+        userId: req.user._id,
+        orderId: order.id,
+        rating,
+        text: req.body.text,
+        images: uploaded,
+      });
+      const summary = await Review.recomputeProductRating(product._id);
+
+      res.status(201).json({ message: "Review posted successfully", review: toReviewResponse(review), ...summary });
+    } catch (error) {
+      await deleteImages(uploaded);
+      if (error.code === 11000) {
+        return res.status(409).json({ message: "You have already reviewed this product", code: "REVIEW_EXISTS" });
+      }
+      console.error("Create review error:", error);
+      res.status(400).json({ message: "Failed to post review", error: error.message });
+    }
+  });
+};
+
+// Author edits their review; new photos replace the old ones
+const updateReview = async (req, res) => {
+  upload(req, res, async (err) => {
+    if (err) {
+      console.error("Upload error:", err);
+      return res.status(400).json({ message: "File upload failed", error: err.message });
+    }
+
+    const uploaded = req.files?.map(file => file.key) || [];
+
+    try {
+      const review = await Review.findOne({ _id: req.params.reviewId, productId: req.params.id });
+      if (!review || review.userId.toString() !== req.user.id) {
+        await deleteImages(uploaded);
+        return res.status(404).json({ message: "Review not found" });
+      }
+
+      if (req.body.rating !== undefined) {
+        const rating = parseRating(req.body.rating);
+        if (!rating) {
+          await deleteImages(uploaded);
+          return res.status(400).json({ message: "Rating must be a whole number from 1 to 5" });
+        }
+        review.rating = rating;
+      }
+      if (req.body.text !== undefined) review.text = req.body.text;
+
+      let replacedImages = [];
+      if (uploaded.length > 0) {
+        replacedImages = review.images;
+        review.images = uploaded;
+      }
+
+      await review.save();
+      await deleteImages(replacedImages);
+      const summary = await Review.recomputeProductRating(review.productId);
+
+      res.json({ message: "Review updated successfully", review: toReviewResponse(review), ...summary });
+    } catch (error) {
+      await deleteImages(uploaded);
+      console.error("Update review error:", error);
+      res.status(400).json({ message: "Failed to update review", error: error.message });
+    }
+  });
+};
+
+// Author or admin removes a review
+const deleteReview = async (req, res) => {
+  try {
+    const review = await Review.findOne({ _id: req.params.reviewId, productId: req.params.id });
+    const isAdmin = req.user.role === ROLES.ADMIN;
+    if (!review || (!isAdmin && review.userId.toString() !== req.user.id)) {
+      return res.status(404).json({ message: "Review not found" });
+    }
+
+    await review.deleteOne();
+    await deleteImages(review.images);
+    const summary = await Review.recomputeProductRating(review.productId);
+
+    res.json({ message: "Review deleted successfully", reviewId: review._id, ...summary });
+  } catch (error) {
+    console.error("Delete review error:", error);
+    res.status(500).json({ message: "Failed to delete review", error: error.message });
+  }
+};
+
+// Admin hides or republishes a review. Body: status ("published" | "hidden"), reason
+const moderateReview = async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+    if (!REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `Status must be one of: ${REVIEW_STATUSES.join(", ")}` });
+    }
+
+    const review = await Review.findOne({ _id: req.params.reviewId, productId: req.params.id });
+    if (!review) return res.status(404).json({ message: "Review not found" });
+
+    review.status = status;
+    review.moderation = { moderatedBy: req.user._id, moderatedAt: new Date(), reason };
+    await review.save();
+    const summary = await Review.recomputeProductRating(review.productId);
+
+    res.json({ message: "Review moderated successfully", review: toReviewResponse(review), ...summary });
+  } catch (error) {
+    console.error("Moderate review error:", error);
+    res.status(400).json({ message: "Failed to moderate review", error: error.message });
+  }
+};
+
+// Moderation queue for admins. Filters: status, productId, userId, rating; paging: page, limit
+const getReviews = async (req, res) => {
+  try {
+    const { status, productId, userId } = req.query;
+    const { page, limit } = parsePaging(req.query);
+
+    const filter = {};
+    if (status) filter.status = status;
+    for (const [key, value] of Object.entries({ productId, userId })) {
+      if (!value) continue;
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        return res.status(400).json({ message: `Invalid ${key}` });
+      }
+      filter[key] = value;
+    }
+    if (req.query.rating !== undefined) {
+      filter.rating = parseRating(req.query.rating);
+      if (!filter.rating) return res.status(400).json({ message: "Rating filter must be between 1 and 5" });
+    }
+
+    const [reviews, total] = await Promise.all([
+      Review.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate("userId", "fullName email")
+        .populate("productId", "name"),
+      Review.countDocuments(filter),
+    ]);
+
+    res.json({
+      reviews: reviews.map(toReviewResponse),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching reviews:", error);
+    res.status(500).json({ message: "Failed to fetch reviews", error: error.message });
+  }
+};
+
+module.exports = {
+  getProductReviews,
+  createReview,
+  updateReview,
+  deleteReview,
+  moderateReview,
+  getReviews,
+};
@@ -0,0 +1,211 @@
+const mongoose = require("mongoose");
+const Product = require("../models/Product");
+const Order = require("../models/Order");
+const StockMovement = require("../models/StockMovement");
+const { adjustStock } = require("../utils/inventory");
+
+// Movements admins can post, and how `quantity` (always positive except for
+// adjustments) changes stock and sold
+const MANUAL_MOVEMENTS = {
+  receipt: (quantity) => ({ quantity, soldDelta: 0 }),
+  return: (quantity) => ({ quantity, soldDelta: -quantity }),
+  damaged: (quantity) => ({ quantity: -quantity, soldDelta: 0 }),
+  adjustment: (quantity) => ({ quantity, soldDelta: 0 }),
+};
+
+// Post a receipt, return, damaged write-off or manual adjustment.
+// Body: type, quantity, variantId (products with variants), reason, orderId (returns)
+const postStockMovement = async (req, res) => {
+  try {
+    const { type, variantId, reason, orderId } = req.body;
+    const quantity = Number(req.body.quantity);
+
+    if (!MANUAL_MOVEMENTS[type]) {
+      return res.status(400).json({ message: `Type must be one of: ${Object.keys(MANUAL_MOVEMENTS).join(", ")}` });
+    }
+    if (!Number.isInteger(quantity) || quantity === 0 || (type !== "adjustment" && quantity < 0)) {
+      return res.status(400).json({
+        message: type === "adjustment"
+          ? "Quantity must be a non-zero whole number"
+          : "Quantity must be a positive whole number",
+      });
+    }
+    if (["adjustment", "damaged"].includes(type) && !reason?.trim()) {
+      return res.status(400).json({ message: "A reason is required for adjustments and damaged goods" });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid product ID format" });
+    }
+    const product = await Product.findById(req.params.id);
+    if (!product) return res.status(404).json({ message: "Product not found" });
+
+    const variant = product.findVariant(variantId);
+    if (product.variants.length > 0 && !variant) {
+      return res.status(400).json({ message: "Please choose a valid variant for this product" });
+    }
+
+    const { quantity: stockChange, soldDelta } = MANUAL_MOVEMENTS[type](quantity);
+    if ((variant || product).sold + soldDelta < 0) {
+      return res.status(400).json({ message: "Cannot return more units than were sold" });
+    }
+
+    const { product: updated, movement } = await adjustStock({
+      productId: product._id,
+      variantId: variant?._id,
+      type,
+      quantity: stockChange,
+      soldDelta,
+      reason: reason?.trim(),
+      orderId: orderId !== undefined && orderId !== "" ? Number(orderId) : undefined,
+      actor: req.user,
+    });
+
+    const levels = (updated.findVariant(variant?._id) || updated).stockLevels();
+    res.status(201).json({ message: "Stock movement recorded", movement, stock: levels });
+  } catch (error) {
+    if (error.code === "INSUFFICIENT_STOCK") {
+      return res.status(error.status).json({ message: error.message, code: error.code, ...error.details });
+    }
+    console.error("Stock movement error:", error);
+    res.status(500).json({ message: "Failed to record stock movement", error: error.message });
+  }
+};
+
+// Movement history of a product, newest first. Filters: variantId, type; paging: page, limit
+const getStockMovements = async (req, res) => {
+  try {
+    const { variantId, type } = req.query;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid product ID format" });
+    }
+
+    const filter = { productId: req.params.id };
+    if (variantId) {
+      if (!mongoose.Types.ObjectId.isValid(variantId)) {
+        return res.status(400).json({ message: "Invalid variant ID" });
+      }
+      filter.variantId = variantId;
+    }
+    if (type) filter.type = type;
+
+    const [movements, total] = await Promise.all([
+      StockMovement.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      StockMovement.countDocuments(filter),
+    ]);
+
+    res.json({
+      movements,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching stock movements:", error);
+    res.status(500).json({ message: "Failed to fetch stock movements", error: error.message });
+  }
+};
+
+const lineKey = (productId, variantId) => `${productId}:${variantId || ""}`;
+
+// Compare every product (or variant) against the ledger and shipped (Delivered or Returned) orders:
+//   STOCK_LEDGER_MISMATCH - stockQuantity != sum of ledger quantities
+//   SOLD_LEDGER_MISMATCH  - sold != sum of ledger sold changes
+//   SOLD_ORDERS_MISMATCH  - sold != units on shipped orders minus returns
+//   UNTRACKED             - stock or sold but no ledger entries yet
+// Only flagged rows are returned unless ?all=true.
+const getStockReconciliation = async (req, res) => {
+  try {
+    const [products, ledger, delivered] = await Promise.all([
+      Product.find().select("name stockQuantity sold variants").lean(),
+      StockMovement.aggregate([
+        {
+          $group: {
+            _id: { productId: "$productId", variantId: "$variantId" },
+            stock: { $sum: "$quantity" },
+            sold: { $sum: "$soldDelta" },
+            returned: { $sum: { $cond: [{ $eq: ["$type", "return"] }, "$quantity", 0] } },
+            entries: { $sum: 1 },
+          },
+        },
+      ]),
+      Order.aggregate([
+        { $match: { status: { $in: ["Delivered", "Returned"] } } },
+        { $unwind: "$orderDetails" },
+        {
+          $group: {
+            _id: { productId: "$orderDetails.productId", variantId: "$orderDetails.variantId" },
+            quantity: { $sum: "$orderDetails.quantity" },
+          },
+        },
+      ]),
+    ]);
+
+    const ledgerByLine = new Map(ledger.map((row) => [lineKey(row._id.productId, row._id.variantId), row]));
+    const deliveredByLine = new Map(delivered.map((row) => [lineKey(row._id.productId, row._id.variantId), row.quantity]));
+
+    const rows = [];
+    products.forEach((product) => {
+      // Products with variants are tracked per variant
+      const lines = product.variants?.length
+        ? product.variants.map((variant) => ({ ...variant, variantId: variant._id }))
+        : [{ ...product, variantId: null }];
+
+      lines.forEach((line) => {
+        const key = lineKey(product._id, line.variantId);
+        const entry = ledgerByLine.get(key);
+        const deliveredQuantity = deliveredByLine.get(key) || 0;
+        const stockQuantity = line.stockQuantity || 0;
+        const sold = line.sold || 0;
+        const issues = [];
+
+        if (!entry) {
+          if (stockQuantity !== 0 || sold !== 0) issues.push("UNTRACKED");
+        } else {
+          if (entry.stock !== stockQuantity) issues.push("STOCK_LEDGER_MISMATCH");
+          if (entry.sold !== sold) issues.push("SOLD_LEDGER_MISMATCH");
+        }
+        if (deliveredQuantity - (entry?.returned || 0) !== sold) issues.push("SOLD_ORDERS_MISMATCH");
+
+        rows.push({
+          productId: product._id,
+          name: product.name,
+          variantId: line.variantId || undefined,
+          sku: line.sku,
+          stockQuantity,
+          sold,
+          ledger: { stock: entry?.stock || 0, sold: entry?.sold || 0, entries: entry?.entries || 0 },
+          deliveredQuantity,
+          returnedQuantity: entry?.returned || 0,
+          issues,
+        });
+      });
+    });
+
+    const flagged = rows.filter((row) => row.issues.length > 0);
+    res.json({
+      generatedAt: new Date(),
+      checked: rows.length,
+      flaggedCount: flagged.length,
+      rows: req.query.all === "true" ? rows : flagged,
+    });
+  } catch (error) {
+    console.error("Stock reconciliation error:", error);
+    res.status(500).json({ message: "Failed to build reconciliation report", error: error.message });
+  }
+};
+
+module.exports = {
+  postStockMovement,
+  getStockMovements,
+  getStockReconciliation,
+};
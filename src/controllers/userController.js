@@ -0,0 +1,252 @@
+const User = require("../models/Users");
+const Order = require("../models/Order");
+const Cart = require("../models/Cart");
+const Address = require("../models/Address");
+const Message = require("../models/Message");
+const Notification = require("../models/Notification");
+const Session = require("../models/Session");
+const PasswordResetToken = require("../models/PasswordResetToken");
+const { issueOtp, verifyOtp, deliverOtp } = require("../utils/otp");
+const { normalizePhoneNumber, phoneNumberVariants } = require("../utils/phone");
+const { assertSmsAvailable } = require("../utils/sms");
+const { validateEmail } = require("../utils/validators");
+const { SUPPORTED_LOCALES } = require("../utils/mailer");
+
+// Public view of a user: never includes password or OTP fields
+const toProfile = (user) => ({
+  _id: user._id,
+  fullName: user.fullName,
+  email: user.email,
+  phoneNumber: user.phoneNumber,
+  emailVerified: user.emailVerified,
+  role: user.role,
+  preferredLoginMethod: user.preferredLoginMethod,
+  locale: user.locale,
+  pendingContact: user.pendingContact?.field
+    ? { field: user.pendingContact.field, value: user.pendingContact.value }
+    : null,
+});
+
+// Get the logged-in user's profile
+const getProfile = async (req, res) => {
+  try {
+    res.json({ success: true, user: toProfile(req.user) });
+  } catch (error) {
+    console.error("Error fetching profile:", error);
+    res.status(500).json({ success: false, message: "Failed to fetch profile" });
+  }
+};
+
+// Whether a submitted email / phone number differs from the stored one. Profile
+// forms send the whole user back, so unchanged values must be let through.
+const emailChanged = (user, email) =>
+  String(email ?? "").trim().toLowerCase() !== String(user.email ?? "").trim().toLowerCase();
+
+const phoneNumberChanged = (user, phoneNumber) => {
+  if (!phoneNumber && !user.phoneNumber) return false;
+  try {
+    return !phoneNumberVariants(normalizePhoneNumber(phoneNumber)).includes(user.phoneNumber);
+  } catch (error) {
+    return true; // Not a valid number, so not the stored one
+  }
+};
+
+// Update the logged-in user's profile (email/phone go through requestContactChange)
+const updateProfile = async (req, res) => {
+  const { fullName, locale, email, phoneNumber } = req.body;
+
+  try {
+    if (
+      (email !== undefined && emailChanged(req.user, email)) ||
+      (phoneNumber !== undefined && phoneNumberChanged(req.user, phoneNumber))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Email and phone number changes must be verified. Use POST /api/users/me/contact.",
+        code: "CONTACT_CHANGE_REQUIRES_VERIFICATION"
+      });
+    }
+
+    const updateData = {};
+
+    if (fullName !== undefined) {
+      if (!fullName?.trim()) throw new Error("Full name is required");
+      updateData.fullName = fullName.trim();
+    }
+
+    if (locale !== undefined) {
+      if (!SUPPORTED_LOCALES.includes(locale)) {
+        throw new Error(`Language must be one of: ${SUPPORTED_LOCALES.join(", ")}`);
+      }
+      updateData.locale = locale;
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      updateData,
+      { new: true, runValidators: true }
+    );
+
+    res.json({ success: true, message: "Profile updated successfully", user: toProfile(user) });
+  } catch (error) {
+    console.error("Error updating profile:", error);
+    res.status(400).json({
+      success: false,
+      message: error.message || "Failed to update profile",
+      code: "VALIDATION_ERROR"
+    });
+  }
+};
+
+// Start an email or phone change: OTP goes to the new address
+const requestContactChange = async (req, res) => {
+  const { email, phoneNumber } = req.body;
+
+  try {
+    let field, value, channel, existing;
+
+    if (email) {
+      validateEmail(email);
+      field = "email";
+      value = email;
+      channel = "email";
+      existing = await User.findOne({ email });
+    } else if (phoneNumber) {
+      field = "phoneNumber";
+      value = normalizePhoneNumber(phoneNumber);
+      channel = "sms";
+      existing = await User.findOne({ phoneNumber: { $in: phoneNumberVariants(value) } });
+    } else {
+      throw new Error("New email or phone number is required");
+    }
+
+    if (existing) {
+      const sameUser = existing._id.equals(req.user._id);
+      return res.status(400).json({
+        success: false,
+        message: sameUser ? `This is already your ${field}` : `Another account already uses this ${field}`,
+        code: field === "email" ? "EMAIL_EXISTS" : "PHONE_EXISTS"
+      });
+    }
+
+    if (channel === "sms") assertSmsAvailable();
+
+    const { otp, otpExpiry } = await issueOtp(req.user, "contactChange");
+    await User.findByIdAndUpdate(req.user._id, {
+      $set: { "pendingContact.field": field, "pendingContact.value": value }
+    });
+    await deliverOtp(channel, value, otp, { purpose: "contactChange", locale: req.user.locale });
+
+    res.json({
+      success: true,
+      message: `OTP sent to your new ${field === "email" ? "email" : "phone number"}`,
+      field,
+      value,
+      otpExpiry
+    });
+  } catch (error) {
+    console.error("Contact change request error:", error);
+    res.status(error.status || 400).json({
+      success: false,
+      message: error.message || "Failed to start contact change",
+      code: error.code || "VALIDATION_ERROR",
+      ...error.details
+    });
+  }
+};
+
+// Confirm a pending email or phone change with the OTP sent to the new address
+const confirmContactChange = async (req, res) => {
+  const { otp } = req.body;
+
+  try {
+    if (!otp) throw new Error("OTP is required");
+
+    const user = await User.findById(req.user._id);
+    const { field, value } = user.pendingContact || {};
+    if (!field) {
+      return res.status(400).json({
+        success: false,
+        message: "No contact change pending",
+        code: "NO_PENDING_CHANGE"
+      });
+    }
+
+    await verifyOtp(user, otp, "contactChange");
+
+    // The unique index rejects the change if the address was taken meanwhile
+    const updated = await User.findByIdAndUpdate(
+      user._id,
+      {
+        // The OTP proved ownership of the new email
+        $set: { [field]: value, ...(field === "email" && { emailVerified: true }) },
+        $unset: { pendingContact: 1 }
+      },
+      { new: true }
+    );
+
+    res.json({ success: true, message: "Contact details updated", user: toProfile(updated) });
+  } catch (error) {
+    console.error("Contact change confirmation error:", error);
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: "Another account already uses this address",
+        code: "CONTACT_IN_USE"
+      });
+    }
+    res.status(error.status || 400).json({
+      success: false,
+      message: error.message || "Failed to confirm contact change",
+      code: error.code || "OTP_ERROR",
+      ...error.details
+    });
+  }
+};
+
+// Delete the logged-in user's account. Past orders are kept for bookkeeping
+// but detached from the user and stripped of personal details.
+const deleteAccount = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const anonymizedAt = new Date();
+
+    await Order.updateMany(
+      { userId },
+      {
+        $set: { name: "Deleted user", phoneNumber: "", deliveryAddress: "", anonymizedAt },
+        $unset: { userId: 1, shippingAddress: 1 }
+      }
+    );
+    // Status changes the customer made themselves (e.g. cancelling) name them too
+    await Order.updateMany(
+      { "statusHistory.actor": userId },
+      { $set: { "statusHistory.$[own].actorName": "Deleted user" }, $unset: { "statusHistory.$[own].actor": 1 } },
+      { arrayFilters: [{ "own.actor": userId }] }
+    );
+
+    await Promise.all([
+      Cart.deleteMany({ userId }),
+      Address.deleteMany({ userId }),
+      Message.deleteMany({ userId }),
+      Notification.deleteMany({ userId }),
+      Session.deleteMany({ userId }),
+      PasswordResetToken.deleteMany({ userId }),
+    ]);
+
+    await User.findByIdAndDelete(userId);
+
+    res.json({ success: true, message: "Account deleted successfully" });
+  } catch (error) {
+    console.error("Account deletion error:", error);
+    res.status(500).json({ success: false, message: "Failed to delete account" });
+  }
+};
+
+module.exports = {
+  getProfile,
+  updateProfile,
+  requestContactChange,
+  confirmContactChange,
+  deleteAccount,
+};
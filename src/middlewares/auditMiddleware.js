@@ -0,0 +1,160 @@
+const mongoose = require("mongoose");
+const AuditLog = require("../models/AuditLog");
+const Product = require("../models/Product");
+const Category = require("../models/Category");
+const Ad = require("../models/Ad");
+const Order = require("../models/Order");
+const User = require("../models/Users");
+const Review = require("../models/Review");
+const Promotion = require("../models/Promotion");
+const Coupon = require("../models/Coupon");
+
+// How to find the audited record for each action group. `find` receives the
+// request and, after the handler ran, its JSON response (for created records).
+const ENTITIES = {
+  products: {
+    type: "Product",
+    find: (req, body) => Product.findById(req.params.id || body?._id),
+  },
+  stock: {
+    type: "Product",
+    find: (req) => Product.findById(req.params.id),
+  },
+  reviews: {
+    type: "Review",
+    find: (req) => Review.findById(req.params.reviewId),
+  },
+  categories: {
+    type: "Category",
+    find: (req, body) => Category.findById(req.params.id || body?.category?._id),
+  },
+  promotions: {
+    type: "Promotion",
+    find: (req, body) => Promotion.findById(req.params.id || body?.promotion?._id),
+  },
+  coupons: {
+    type: "Coupon",
+    find: (req, body) => Coupon.findById(req.params.id || body?.coupon?._id),
+  },
+  ads: {
+    type: "Ad",
+    find: (req, body) => Ad.findById(req.params.id || body?.ad?._id),
+  },
+  orders: {
+    type: "Order",
+    idOf: (doc) => doc.id, // Orders are addressed by their numeric id
+    find: (req, body) => {
+      const id = req.params.id ?? body?.id;
+      return id == null ? null : Order.findOne({ id });
+    },
+  },
+  users: {
+    type: "User",
+    find: (req) => User.findById(req.params.userId || req.user._id),
+  },
+};
+
+const IGNORED_FIELDS = ["updatedAt", "__v"];
+const SECRET_FIELD = /password|otp|token/i;
+
+// Plain copy of a record with credentials removed
+const sanitize = (value) => {
+  if (Array.isArray(value)) return value.map(sanitize);
+  if (value instanceof Date || value instanceof mongoose.Types.ObjectId) return value;
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([key]) => !SECRET_FIELD.test(key))
+        .map(([key, field]) => [key, sanitize(field)])
+    );
+  }
+  return value;
+};
+
+const REDACTED = "[redacted]";
+
+// Snapshot of a record; `redact` lists top-level fields whose values are not kept
+const snapshot = (doc, redact = []) => {
+  if (!doc) return null;
+  const copy = sanitize(doc.toObject ? doc.toObject() : doc);
+  redact.forEach((field) => {
+    if (copy[field] !== undefined) copy[field] = REDACTED;
+  });
+  return copy;
+};
+
+// Top-level fields whose value changed between the two snapshots
+const diff = (before, after) => {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  keys.forEach((key) => {
+    if (IGNORED_FIELDS.includes(key)) return;
+    const from = before?.[key];
+    const to = after?.[key];
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes[key] = { from, to };
+  });
+  return changes;
+};
+
+// Records who changed what on successful requests. Runs after authorize() so
+// req.user is the actor. `options.find` overrides how the record is loaded
+// (e.g. a count for bulk deletes); `options.redact` lists fields left out of
+// the snapshots and `options.redactActor` drops the actor's name (personal
+// data that must not outlive an account deletion).
+const audit = (action, options = {}) => {
+  const group = action.split(".")[0];
+  const entity = { ...ENTITIES[group], ...options };
+  if (!entity.type || !entity.find) {
+    throw new Error(`No audit entity configured for action "${action}"`);
+  }
+
+  return async (req, res, next) => {
+    let before = null;
+    try {
+      before = await entity.find(req);
+    } catch (error) {
+      console.error(`Audit: failed to load ${entity.type} before ${action}:`, error.message);
+    }
+
+    // Keep the response body so created records can be found afterwards
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      res.locals.auditResponse = body;
+      return originalJson(body);
+    };
+
+    res.on("finish", async () => {
+      if (res.statusCode >= 400) return;
+
+      try {
+        const after = await entity.find(req, res.locals.auditResponse);
+        const record = after || before;
+        const idOf = entity.idOf || ((doc) => doc._id);
+        const beforeSnapshot = snapshot(before, entity.redact);
+        const afterSnapshot = snapshot(after, entity.redact);
+
+        await AuditLog.create({
+          actor: req.user?._id,
+          actorName: entity.redactActor ? REDACTED : req.user?.fullName,
+          actorRole: req.user?.role,
+          action,
+          method: req.method,
+          route: req.originalUrl,
+          entityType: entity.type,
+          entityId: record && idOf(record) != null ? String(idOf(record)) : undefined,
+          before: beforeSnapshot,
+          after: afterSnapshot,
+          changes: diff(beforeSnapshot, afterSnapshot),
+          statusCode: res.statusCode,
+          ip: req.ip,
+        });
+      } catch (error) {
+        console.error(`Audit: failed to record ${action}:`, error.message);
+      }
+    });
+
+    next();
+  };
+};
+
+module.exports = audit;
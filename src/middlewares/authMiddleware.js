@@ -1,5 +1,9 @@
 const jwt = require("jsonwebtoken");
 const User = require("../models/Users");
+const Session = require("../models/Session");
+
+// Only touch Session.lastUsedAt once a minute to avoid a write on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
 
 const authMiddleware = async (req, res, next) => {
   const token = req.headers.authorization?.split(" ")[1]; // Bearer token
@@ -10,17 +14,33 @@ const authMiddleware = async (req, res, next) => {
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Tokens issued before sessions existed carry no session ID and cannot be revoked
+    if (!decoded.sid) {
+      return res.status(401).json({ message: "Session expired. Please log in again.", code: "SESSION_REVOKED" });
+    }
+
+    const session = await Session.findById(decoded.sid);
+    if (!session || !session.isActive() || session.userId.toString() !== decoded.userId) {
+      return res.status(401).json({ message: "Session expired or revoked. Please log in again.", code: "SESSION_REVOKED" });
+    }
     
     // Ensure req.user is assigned properly
     req.user = { id: decoded.userId };
 
     // Fetch user from database to verify existence
-    const user = await User.findById(decoded.userId).select("-password");
+    const user = await User.findById(decoded.userId).select("-password -otpHash");
     if (!user) {
       return res.status(401).json({ message: "User not found" });
     }
 
+    if (Date.now() - session.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS) {
+      session.lastUsedAt = new Date();
+      await session.save();
+    }
+
     req.user = user; // Attach full user object if needed
+    req.authSession = session; // Current login session, used by logout
     next();
   } catch (error) {
     console.error("Invalid token:", error);
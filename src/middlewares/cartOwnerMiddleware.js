@@ -0,0 +1,35 @@
+const authMiddleware = require("./authMiddleware");
+const { issueGuestToken, readGuestToken } = require("../utils/guestCart");
+
+// Works out whose cart a /api/cart request is for and sets req.cartOwner to
+// { userId } (Bearer token) or { guestId } (X-Guest-Token header).
+//   mode "required" - reject requests with neither
+//   mode "optional" - let them through without an owner (e.g. reading an empty cart)
+//   mode "issue"    - start a new guest cart; the token is returned in X-Guest-Token
+const cartOwner = (mode = "required") => (req, res, next) => {
+  if (req.headers.authorization) {
+    return authMiddleware(req, res, () => {
+      req.cartOwner = { userId: req.user._id };
+      next();
+    });
+  }
+
+  const guestId = readGuestToken(req.headers["x-guest-token"]);
+  if (guestId) {
+    req.cartOwner = { guestId };
+    return next();
+  }
+
+  if (mode === "optional") return next();
+  if (mode === "issue") {
+    const guest = issueGuestToken();
+    req.cartOwner = { guestId: guest.guestId };
+    req.guestToken = guest.token;
+    res.set("X-Guest-Token", guest.token);
+    return next();
+  }
+
+  return res.status(401).json({ message: "Sign in or send a guest cart token", code: "CART_OWNER_REQUIRED" });
+};
+
+module.exports = cartOwner;
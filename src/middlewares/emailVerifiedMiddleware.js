@@ -0,0 +1,13 @@
+// Blocks the request until the authenticated user has verified their email.
+// Must run after authMiddleware.
+const emailVerifiedMiddleware = (req, res, next) => {
+  if (!req.user?.emailVerified) {
+    return res.status(403).json({
+      message: "Please verify your email address before placing orders",
+      code: "EMAIL_NOT_VERIFIED",
+    });
+  }
+  next();
+};
+
+module.exports = emailVerifiedMiddleware;
@@ -0,0 +1,150 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const IdempotencyKey = require("../models/IdempotencyKey");
+const { deleteImages } = require("../utils/storage");
+
+// A key still "processing" after this long belongs to a request that died
+// (crash, restart) and may be taken over by a retry
+const IDEMPOTENCY_LEASE_MINUTES = Number(process.env.IDEMPOTENCY_LEASE_MINUTES) || 5;
+
+// Same JSON regardless of key order, so a retried form posts the same hash
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+};
+
+// Files multer stored for the request, whatever upload method it used
+const uploadedFiles = (req) => {
+  const files = Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat();
+  if (req.file) files.push(req.file);
+  return files;
+};
+
+// Content digest of an uploaded file: S3's ETag (multer-s3), or the SHA-256
+// of the bytes for disk and memory storage
+const fileDigest = async (file) => {
+  if (file.etag) return file.etag;
+  if (file.buffer) return crypto.createHash("sha256").update(file.buffer).digest("hex");
+  if (file.path) return crypto.createHash("sha256").update(await fs.promises.readFile(file.path)).digest("hex");
+  return null;
+};
+
+// The body and the uploaded files, so a retry with a different payment image
+// is a different request
+const hashRequest = async (req) => {
+  const files = await Promise.all(
+    uploadedFiles(req).map(async (file) => ({
+      field: file.fieldname,
+      name: file.originalname,
+      size: file.size,
+      digest: await fileDigest(file),
+    }))
+  );
+  return crypto
+    .createHash("sha256")
+    .update(stableStringify({ body: req.body || {}, files }))
+    .digest("hex");
+};
+
+// Multer runs first, so a request that is answered here has already stored its
+// files (S3 objects, or disk files for routes using diskStorage); drop them
+const discardUploads = (req) => {
+  const files = uploadedFiles(req);
+
+  const keys = files.filter((file) => file.key).map((file) => file.key);
+  if (keys.length > 0) deleteImages(keys);
+  files
+    .filter((file) => file.path)
+    .forEach((file) => fs.unlink(file.path, (error) => error && console.error("❌ Error removing upload:", error.message)));
+};
+
+// Honours an optional Idempotency-Key header on create endpoints. The first
+// request with a key runs normally and its response is stored; retries with the
+// same key get that response back (Idempotent-Replayed: true) instead of
+// creating a second record. Runs after auth and body parsing (multer).
+//   - same key, different body or files -> 422 IDEMPOTENCY_KEY_REUSED
+//   - same key while the first is running -> 409 IDEMPOTENCY_IN_PROGRESS
+//     (unless it has been running longer than the lease: then it's retried)
+// Files uploaded with a request that is answered here are deleted.
+// Server errors (5xx) aren't stored, so the client can retry with the same key.
+const idempotency = () => async (req, res, next) => {
+  const key = req.get("Idempotency-Key");
+  if (!key) return next();
+
+  if (key.length > 255) {
+    discardUploads(req);
+    return res.status(400).json({ error: "Idempotency-Key is too long", code: "IDEMPOTENCY_KEY_INVALID" });
+  }
+
+  const route = `${req.method} ${req.baseUrl}${req.path}`;
+  let requestHash;
+  let record;
+
+  try {
+    requestHash = await hashRequest(req);
+  } catch (error) {
+    return next(error);
+  }
+
+  try {
+    record = await IdempotencyKey.create({ key, userId: req.user._id, route, requestHash });
+  } catch (error) {
+    if (error.code !== 11000) return next(error);
+
+    const existing = await IdempotencyKey.findOne({ userId: req.user._id, key });
+    if (!existing) return next(error); // Expired in between; let the client retry
+
+    if (existing.route !== route || existing.requestHash !== requestHash) {
+      discardUploads(req);
+      return res.status(422).json({
+        error: "This Idempotency-Key was already used for a different request",
+        code: "IDEMPOTENCY_KEY_REUSED",
+      });
+    }
+    if (existing.state !== "completed") {
+      // Take over an abandoned key; only one retry can win the update
+      record = await IdempotencyKey.findOneAndUpdate(
+        { _id: existing._id, state: "processing", updatedAt: { $lt: new Date(Date.now() - IDEMPOTENCY_LEASE_MINUTES * 60 * 1000) } },
+        { $set: { updatedAt: new Date() } },
+        { new: true }
+      );
+      if (!record) {
+        discardUploads(req);
+        res.set("Retry-After", "1");
+        return res.status(409).json({
+          error: "A request with this Idempotency-Key is still being processed",
+          code: "IDEMPOTENCY_IN_PROGRESS",
+        });
+      }
+    } else {
+      discardUploads(req);
+      res.set("Idempotent-Replayed", "true");
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+  }
+
+  // Stored when the handler responds, even if the client has hung up by then:
+  // that is exactly the retry we need to answer
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    const saved =
+      res.statusCode >= 500
+        ? IdempotencyKey.deleteOne({ _id: record._id })
+        : IdempotencyKey.updateOne(
+            { _id: record._id },
+            { $set: { state: "completed", responseStatus: res.statusCode, responseBody: JSON.parse(JSON.stringify(body ?? null)) } }
+          );
+    saved.catch((error) => console.error("❌ Error storing idempotent response:", error.message));
+    return originalJson(body);
+  };
+
+  next();
+};
+
+module.exports = idempotency;
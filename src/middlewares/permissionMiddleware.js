@@ -0,0 +1,52 @@
+const authMiddleware = require("./authMiddleware");
+const { ROLES, policies } = require("../config/permissions");
+
+// Staff and admins may act on any user's records
+const isPrivileged = (user) => !!user && [ROLES.STAFF, ROLES.ADMIN].includes(user.role);
+
+// True if the user is privileged or owns the record belonging to ownerId
+const canAccessUserResource = (user, ownerId) => {
+  if (!user) return false;
+  if (isPrivileged(user)) return true;
+  return !!ownerId && ownerId.toString() === user.id;
+};
+
+// Checks the authenticated user against the policy for `action`
+const checkPolicy = (action, policy) => (req, res, next) => {
+  const user = req.user;
+  const role = user.role || ROLES.CUSTOMER;
+
+  if (policy.owner) {
+    const ownerId = req.params[policy.owner] ?? req.body?.[policy.owner];
+    if (ownerId && ownerId.toString() === user.id) return next();
+  }
+
+  if (policy.roles.includes(role)) return next();
+
+  return res.status(403).json({
+    message: "You do not have permission to perform this action",
+    code: "FORBIDDEN",
+    action,
+  });
+};
+
+// Route guard: authorize("products.create") runs authMiddleware, then the policy check.
+// Public actions pass straight through without requiring a token.
+const authorize = (action) => {
+  const policy = policies[action];
+  if (!policy) {
+    throw new Error(`No permission policy defined for action "${action}"`);
+  }
+
+  if (policy.public) {
+    return (req, res, next) => next();
+  }
+
+  return [authMiddleware, checkPolicy(action, policy)];
+};
+
+module.exports = {
+  authorize,
+  isPrivileged,
+  canAccessUserResource,
+};
@@ -0,0 +1,47 @@
+const mongoose = require("mongoose");
+
+const addressSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    label: { type: String, required: true, trim: true }, // e.g. "Home", "Office"
+    recipientName: { type: String, trim: true },
+    contactPhone: { type: String, required: true }, // E.164
+    city: { type: String, default: "Addis Ababa", trim: true },
+    subCity: { type: String, required: true, trim: true },
+    woreda: { type: String, trim: true },
+    landmark: { type: String, trim: true }, // e.g. "Behind Edna Mall"
+    details: { type: String, trim: true }, // House number, building, floor
+    isDefault: { type: Boolean, default: false },
+  },
+  { timestamps: true }
+);
+
+// One-line form used for Order.deliveryAddress
+addressSchema.methods.format = function () {
+  return [
+    this.details,
+    this.landmark && `near ${this.landmark}`,
+    this.woreda && `Woreda ${this.woreda}`,
+    this.subCity,
+    this.city,
+  ]
+    .filter(Boolean)
+    .join(", ");
+};
+
+// Copy stored on an order so later edits to the address book don't change it
+addressSchema.methods.toSnapshot = function () {
+  return {
+    addressId: this._id,
+    label: this.label,
+    recipientName: this.recipientName,
+    contactPhone: this.contactPhone,
+    city: this.city,
+    subCity: this.subCity,
+    woreda: this.woreda,
+    landmark: this.landmark,
+    details: this.details,
+  };
+};
+
+module.exports = mongoose.model("Address", addressSchema);
@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: "User", index: true },
+    actorName: { type: String },
+    actorRole: { type: String },
+    action: { type: String, required: true }, // Policy name, e.g. "products.update"
+    method: { type: String, required: true },
+    route: { type: String, required: true },
+    entityType: { type: String, required: true }, // e.g. "Product", "Order"
+    entityId: { type: String }, // _id, or the numeric id for orders
+    before: { type: mongoose.Schema.Types.Mixed },
+    after: { type: mongoose.Schema.Types.Mixed },
+    changes: { type: mongoose.Schema.Types.Mixed }, // { field: { from, to } }
+    statusCode: { type: Number },
+    ip: { type: String },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
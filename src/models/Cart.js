@@ -1,17 +1,37 @@
 const mongoose = require("mongoose");
 
+// Guest carts live this long after their last change
+const GUEST_CART_TTL_DAYS = Number(process.env.GUEST_CART_TTL_DAYS) || 7;
+
 const cartSchema = new mongoose.Schema({
-  userId: { type: mongoose.Schema.Types.ObjectId, required: true, ref: "User" },
+  // Exactly one of userId (signed-in customer) or guestId (anonymous cart, see utils/guestCart)
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  guestId: { type: String },
+  expiresAt: { type: Date }, // Guest carts only; refreshed on every change
+  // Only references and quantities: names, images, prices and stock are read
+  // from Product whenever the cart is priced (see utils/cart)
   items: [
     {
       productId: { type: mongoose.Schema.Types.ObjectId, required: true, ref: "Product" },
-      productName: { type: String, required: true },
-      img: { type: String }, // Store image URL
-      price: { type: Number, required: true },
-      quantity: { type: Number, required: true, default: 1 }
+      variantId: { type: mongoose.Schema.Types.ObjectId }, // Product.variants._id, for products with variants
+      quantity: { type: Number, required: true, default: 1, min: 1 }
     }
-  ]
+  ],
+  couponCode: { type: String }, // Applied with POST /api/cart/coupon, re-checked whenever the cart is priced
+});
+
+cartSchema.index({ userId: 1 });
+cartSchema.index({ guestId: 1 }, { unique: true, sparse: true });
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // MongoDB removes stale guest carts
+
+cartSchema.pre("validate", function () {
+  if (!this.userId === !this.guestId) this.invalidate("userId", "A cart belongs to either a user or a guest");
+});
+
+cartSchema.pre("save", function () {
+  if (this.guestId) this.expiresAt = new Date(Date.now() + GUEST_CART_TTL_DAYS * 24 * 60 * 60 * 1000);
 });
 
 const Cart = mongoose.model("Cart", cartSchema);
 module.exports = Cart;
+module.exports.GUEST_CART_TTL_DAYS = GUEST_CART_TTL_DAYS;
@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+
+const couponSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true, unique: true, uppercase: true, trim: true }, // e.g. "SALE10"
+    description: { type: String, trim: true },
+    discountType: { type: String, enum: ["percentage", "fixed"], required: true },
+    value: { type: Number, required: true, min: 0 }, // Percent off, or amount (ETB) off the order
+    maxDiscount: { type: Number, min: 0 }, // Cap for percentage coupons
+    minOrderValue: { type: Number, default: 0, min: 0 }, // Cart total (after promotions) required
+    // Restrictions: when either list is set, only matching items are discounted
+    products: [{ type: mongoose.Schema.Types.ObjectId, ref: "Product" }],
+    categories: [{ type: mongoose.Schema.Types.ObjectId, ref: "Category" }],
+    usageLimit: { type: Number, min: 1 }, // Total redemptions; unlimited when unset
+    perUserLimit: { type: Number, default: 1, min: 1 },
+    usedCount: { type: Number, default: 0 }, // Changed atomically by utils/coupons
+    startsAt: { type: Date },
+    expiresAt: { type: Date },
+    enabled: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+couponSchema.pre("validate", function () {
+  if (this.startsAt && this.expiresAt && this.expiresAt <= this.startsAt) {
+    this.invalidate("expiresAt", "Expiry must be after the start date");
+  }
+  if (this.discountType === "percentage" && this.value > 100) {
+    this.invalidate("value", "A percentage discount cannot exceed 100");
+  }
+});
+
+module.exports = mongoose.model("Coupon", couponSchema);
@@ -0,0 +1,17 @@
+const mongoose = require("mongoose");
+
+// How often one customer has used a coupon. The unique index lets
+// utils/coupons enforce perUserLimit with a single atomic upsert.
+const couponRedemptionSchema = new mongoose.Schema(
+  {
+    couponId: { type: mongoose.Schema.Types.ObjectId, ref: "Coupon", required: true },
+    userId: { type: String, required: true }, // Same form as Order.userId
+    count: { type: Number, default: 0 },
+    orderIds: [{ type: Number }], // Order.id of each redemption
+  },
+  { timestamps: true }
+);
+
+couponRedemptionSchema.index({ couponId: 1, userId: 1 }, { unique: true });
+
+module.exports = mongoose.model("CouponRedemption", couponRedemptionSchema);
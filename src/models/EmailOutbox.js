@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+
+const emailOutboxSchema = new mongoose.Schema(
+  {
+    to: { type: String, required: true },
+    template: { type: String, required: true }, // Template name, e.g. "otp", "orderConfirmation"
+    locale: { type: String, default: "en" },
+    subject: { type: String, required: true },
+    html: { type: String }, // Rendered body; cleared after sending sensitive messages
+    text: { type: String },
+    sensitive: { type: Boolean, default: false }, // Contains a code or link that must not linger
+    status: {
+      type: String,
+      enum: ["pending", "sending", "sent", "failed", "expired"],
+      default: "pending",
+      index: true,
+    },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 5 },
+    nextAttemptAt: { type: Date, default: Date.now, index: true },
+    lockedAt: { type: Date }, // When a worker claimed the message
+    expiresAt: { type: Date }, // Don't deliver after this (e.g. OTP validity)
+    lastError: { type: String },
+    sentAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("EmailOutbox", emailOutboxSchema);
@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+// Keys are remembered this long; a retry after that is treated as a new request
+const IDEMPOTENCY_TTL_HOURS = Number(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+
+// One client-supplied Idempotency-Key and the response it produced (see idempotencyMiddleware)
+const idempotencyKeySchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    route: { type: String, required: true }, // Method and path the key was first used on
+    requestHash: { type: String, required: true }, // Same key with a different body is rejected
+    state: { type: String, enum: ["processing", "completed"], default: "processing" },
+    responseStatus: { type: Number },
+    responseBody: { type: mongoose.Schema.Types.Mixed },
+    expiresAt: { type: Date, default: () => new Date(Date.now() + IDEMPOTENCY_TTL_HOURS * 60 * 60 * 1000) },
+  },
+  { timestamps: true }
+);
+
+// Keys are scoped to the customer, so two users can't collide
+idempotencyKeySchema.index({ userId: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("IdempotencyKey", idempotencyKeySchema);
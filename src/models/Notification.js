@@ -4,6 +4,7 @@ const notificationSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
   orderId: { type: String, required: true }, // ✅ Changed orderId from ObjectId to String
   message: { type: String, required: true },
+  read: { type: Boolean, default: false },
   date: { type: Date, default: Date.now },
 });
 
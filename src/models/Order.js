@@ -1,22 +1,110 @@
 const mongoose = require("mongoose");
+const AutoIncrement = require("mongoose-sequence")(mongoose);
+
+// How the customer pays. Transfers come with a payment proof image that staff review.
+const PAYMENT_METHODS = ["bank_transfer", "telebirr", "cash_on_delivery"];
+const PROOF_PAYMENT_METHODS = ["bank_transfer", "telebirr"];
+
+// Order lifecycle. Status only changes through utils/orderLifecycle, which
+// allows the moves below and runs their side effects (stock, coupon, emails).
+const ORDER_STATUSES = [
+  "Pending", // Placed, waiting for payment (or for a new proof after a rejection)
+  "PaymentReview", // Payment proof uploaded, waiting for staff
+  "Confirmed",
+  "Packed",
+  "OutForDelivery",
+  "Delivered",
+  "Cancelled",
+  "Returned",
+];
+
+const ORDER_TRANSITIONS = {
+  Pending: ["PaymentReview", "Confirmed", "Cancelled"], // Confirmed directly for cash on delivery
+  PaymentReview: ["Confirmed", "Pending", "Cancelled"], // Back to Pending when the proof is rejected
+  Confirmed: ["Packed", "Cancelled"],
+  Packed: ["OutForDelivery", "Cancelled"],
+  OutForDelivery: ["Delivered", "Packed"], // Back to Packed after a failed delivery attempt
+  Delivered: ["Returned"],
+  Cancelled: [],
+  Returned: [],
+};
+
+// One uploaded payment proof and the staff decision on it (see paymentController)
+const paymentProofSchema = new mongoose.Schema({
+  image: { type: String },
+  uploadedAt: { type: Date, default: Date.now },
+  status: { type: String, enum: ["pending", "approved", "rejected"], default: "pending" },
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  reviewedByName: { type: String },
+  reviewedAt: { type: Date },
+  reason: { type: String }, // Why it was rejected (shown to the customer)
+  transactionReference: { type: String }, // Bank or Telebirr reference, recorded on approval
+  amountReceived: { type: Number },
+});
+
+const statusChangeSchema = new mongoose.Schema(
+  {
+    from: { type: String }, // Unset for the entry recorded when the order is placed
+    to: { type: String, required: true },
+    at: { type: Date, default: Date.now },
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    actorName: { type: String },
+    actorRole: { type: String },
+    reason: { type: String },
+  },
+  { _id: false }
+);
 
 const OrderSchema = new mongoose.Schema(
   {
-    id: { type: Number, required: true, unique: true },
-    userId: { type: String, required: true }, 
+    id: { type: Number, unique: true }, // Order number, assigned on first save from the "order_id" counter
+    // The customer; cleared when they delete their account. Unset on orders staff place without an account.
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", index: true },
+    legacyUserId: { type: String }, // Unusable userId found by scripts/merge-user-orders.js, kept for reference
+    anonymizedAt: { type: Date },
     name: { type: String, required: true },
     amount: { type: Number, required: true },
+    // One of ORDER_STATUSES; orders from before the lifecycle may hold other strings
     status: { type: String, default: "Pending" },
+    statusHistory: [statusChangeSchema], // Oldest first
+    // Inventory held for this order (see utils/inventory); unset on orders placed before reservations
+    stockStatus: { type: String, enum: ["reserved", "released", "committed", "returned"] },
     phoneNumber: { type: String },
     deliveryAddress: { type: String },
-    paymentImage: { type: String },
+    // Structured copy of the address-book entry chosen at checkout
+    shippingAddress: {
+      addressId: { type: mongoose.Schema.Types.ObjectId, ref: "Address" },
+      label: { type: String },
+      recipientName: { type: String },
+      contactPhone: { type: String },
+      city: { type: String },
+      subCity: { type: String },
+      woreda: { type: String },
+      landmark: { type: String },
+      details: { type: String },
+    },
+    paymentMethod: { type: String, enum: PAYMENT_METHODS },
+    paymentImage: { type: String }, // Latest payment proof
+    paymentProofs: [paymentProofSchema], // Oldest first; only the last one can be pending
+    // Coupon redeemed at checkout; amount is already net of the discount
+    coupon: {
+      couponId: { type: mongoose.Schema.Types.ObjectId, ref: "Coupon" },
+      code: { type: String },
+      discount: { type: Number },
+      releasedAt: { type: Date }, // Usage given back after cancellation or rejection
+    },
     avatar: { type: String, default: "/uploads/default-avatar.png" },
     orderDetails: [
       {
         productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true }, 
+        variantId: { type: mongoose.Schema.Types.ObjectId }, // Product.variants._id, for products with variants
+        sku: { type: String },
+        variantLabel: { type: String },
         product: { type: String, required: true },
         quantity: { type: Number, required: true },
-        price: { type: Number, required: true },
+        price: { type: Number, required: true }, // Unit price paid (after discounts)
+        originalPrice: { type: Number }, // List price before discounts
+        promotionId: { type: mongoose.Schema.Types.ObjectId, ref: "Promotion" },
         productImage: { type: String },
       },
     ],
@@ -24,5 +112,37 @@ const OrderSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+OrderSchema.index({ "paymentProofs.transactionReference": 1 }, { sparse: true });
+
+// Summary served by /api/users/orders (the former UserOrder shape)
+OrderSchema.methods.toUserOrderView = function () {
+  return {
+    _id: this._id,
+    orderId: String(this.id),
+    userId: this.userId,
+    date: this.createdAt,
+    status: this.status,
+    total: this.amount,
+    itemCount: this.orderDetails.reduce((sum, item) => sum + item.quantity, 0),
+    anonymizedAt: this.anonymizedAt,
+  };
+};
+
+// Order numbers come from an atomic counter so concurrent checkouts never share one
+OrderSchema.plugin(AutoIncrement, { id: "order_id", inc_field: "id" });
+
+// Move the counter past the highest existing order number (orders numbered
+// before the counter existed). Safe to run on every start.
+OrderSchema.statics.syncOrderCounter = async function () {
+  const last = await this.findOne().sort({ id: -1 }).select("id");
+  await mongoose.connection
+    .collection("counters")
+    .updateOne({ id: "order_id", reference_value: null }, { $max: { seq: last?.id || 0 } }, { upsert: true });
+};
+
 module.exports = mongoose.model("Order", OrderSchema);
+module.exports.PAYMENT_METHODS = PAYMENT_METHODS;
+module.exports.PROOF_PAYMENT_METHODS = PROOF_PAYMENT_METHODS;
+module.exports.ORDER_STATUSES = ORDER_STATUSES;
+module.exports.ORDER_TRANSITIONS = ORDER_TRANSITIONS;
   
\ No newline at end of file
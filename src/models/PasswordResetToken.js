@@ -0,0 +1,13 @@
+const mongoose = require("mongoose");
+
+const passwordResetTokenSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    tokenHash: { type: String, required: true, unique: true }, // SHA-256 of the emailed token
+    expiresAt: { type: Date, required: true, expires: 0 }, // MongoDB TTL removes expired tokens
+    usedAt: { type: Date }, // Set once the token has reset a password (single use)
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("PasswordResetToken", passwordResetTokenSchema);
@@ -0,0 +1,18 @@
+const mongoose = require("mongoose");
+
+// A bank or Telebirr transaction reference that paid for an order. The unique
+// index makes sure one transfer can only be approved for one order, even when
+// two reviewers approve at the same time (see paymentController.reviewPayment).
+const paymentReferenceSchema = new mongoose.Schema(
+  {
+    reference: { type: String, required: true },
+    order: { type: mongoose.Schema.Types.ObjectId, ref: "Order", required: true },
+    orderId: { type: Number, required: true }, // Order.id, for the error message
+    approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+paymentReferenceSchema.index({ reference: 1 }, { unique: true });
+
+module.exports = mongoose.model("PaymentReference", paymentReferenceSchema);
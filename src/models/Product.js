@@ -1,24 +1,72 @@
 const mongoose = require("mongoose");
 
+// One purchasable combination of option values, e.g. { Size: "M", Colour: "Red" }
+const variantSchema = new mongoose.Schema({
+  sku: { type: String, required: true, trim: true },
+  options: { type: Map, of: String, default: {} },
+  price: { type: Number }, // Overrides the product price when set
+  stockQuantity: { type: Number, default: 0 },
+  reservedQuantity: { type: Number, default: 0 },
+  sold: { type: Number, default: 0 },
+  images: [{ type: String }], // S3 keys; falls back to the product images
+});
+
+// On-hand stock, the part held by open orders and what can still be sold
+const stockLevels = function () {
+  const onHand = this.stockQuantity || 0;
+  const reserved = this.reservedQuantity || 0;
+  return { onHand, reserved, available: Math.max(0, onHand - reserved) };
+};
+
+variantSchema.methods.stockLevels = stockLevels;
+
+// Human-readable label, e.g. "M / Red"
+variantSchema.methods.label = function () {
+  return Array.from(this.options.values()).join(" / ");
+};
+
 const productSchema = new mongoose.Schema(
   {
     name: { type: String, required: true },
+    sku: { type: String, trim: true }, // Optional; variants carry their own SKUs
     price: { type: Number, required: true },
     shortDescription: { type: String },
     fullDescription: { type: String },
-    stockQuantity: { type: Number, required: true },
+    stockQuantity: { type: Number, required: true }, // On hand, including reserved units
+    reservedQuantity: { type: Number, default: 0 }, // Held by placed orders not yet delivered (see utils/inventory)
     category: { type: mongoose.Schema.Types.ObjectId, ref: "Category", required: true },
     images: [{ type: String }], // Array of S3 keys
     discount: { type: Number, default: 0 },
     hasDiscount: { type: Boolean, default: false },
     sold: { type: Number, default: 0 },
     videoLink: { type: String }, // Video link field
-    rating: { type: Number, default: 0 }, // Star rating field
+    rating: { type: Number, default: 0 }, // Average of published reviews (see Review.recomputeProductRating)
+    reviewCount: { type: Number, default: 0 },
+    // Option definitions, e.g. [{ name: "Size", values: ["S", "M", "L"] }]
+    options: [
+      {
+        name: { type: String, required: true, trim: true },
+        values: [{ type: String, trim: true }],
+      },
+    ],
+    // When variants exist, stockQuantity, reservedQuantity and sold are the sums over variants
+    variants: [variantSchema],
   
   },
   { timestamps: true }
 );
 
+productSchema.index({ sku: 1 }, { unique: true, sparse: true });
+productSchema.index({ "variants.sku": 1 }, { unique: true, sparse: true });
+
+// Find a variant by ID (null if the product has no such variant)
+productSchema.methods.findVariant = function (variantId) {
+  if (!variantId || !mongoose.Types.ObjectId.isValid(variantId)) return null;
+  return this.variants.id(variantId) || null;
+};
+
+productSchema.methods.stockLevels = stockLevels;
+
 module.exports = mongoose.model("Product", productSchema);
 
 
@@ -0,0 +1,40 @@
+const mongoose = require("mongoose");
+
+const promotionSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true }, // Shown to customers, e.g. "Weekend flash sale"
+    description: { type: String, trim: true },
+    // What the promotion applies to: every product, some categories or some products
+    scope: { type: String, enum: ["all", "categories", "products"], required: true },
+    categories: [{ type: mongoose.Schema.Types.ObjectId, ref: "Category" }],
+    products: [{ type: mongoose.Schema.Types.ObjectId, ref: "Product" }],
+    discountType: { type: String, enum: ["percentage", "fixed"], required: true },
+    value: { type: Number, required: true, min: 0 }, // Percent off, or amount (ETB) off the unit price
+    startsAt: { type: Date, required: true },
+    endsAt: { type: Date, required: true },
+    enabled: { type: Boolean, default: true }, // Lets admins stop a promotion early without deleting it
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+promotionSchema.index({ enabled: 1, startsAt: 1, endsAt: 1 });
+
+promotionSchema.pre("validate", function () {
+  if (this.endsAt && this.startsAt && this.endsAt <= this.startsAt) {
+    this.invalidate("endsAt", "End time must be after the start time");
+  }
+  if (this.discountType === "percentage" && this.value > 100) {
+    this.invalidate("value", "A percentage discount cannot exceed 100");
+  }
+});
+
+// scheduled / active / ended / disabled at `now`
+promotionSchema.methods.statusAt = function (now = new Date()) {
+  if (!this.enabled) return "disabled";
+  if (now < this.startsAt) return "scheduled";
+  if (now >= this.endsAt) return "ended";
+  return "active";
+};
+
+module.exports = mongoose.model("Promotion", promotionSchema);
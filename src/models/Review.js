@@ -0,0 +1,42 @@
+const mongoose = require("mongoose");
+
+const REVIEW_STATUSES = ["published", "hidden"];
+
+const reviewSchema = new mongoose.Schema(
+  {
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    orderId: { type: Number, required: true }, // Delivered Order.id the purchase was verified against
+    rating: { type: Number, required: true, min: 1, max: 5 },
+    text: { type: String, trim: true, maxlength: 2000 },
+    images: [{ type: String }], // S3 keys
+    // Hidden reviews are kept for the author and admins but don't count towards the rating
+    status: { type: String, enum: REVIEW_STATUSES, default: "published" },
+    moderation: {
+      moderatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      moderatedAt: { type: Date },
+      reason: { type: String, trim: true },
+    },
+  },
+  { timestamps: true }
+);
+
+// One review per customer and product
+reviewSchema.index({ productId: 1, userId: 1 }, { unique: true });
+reviewSchema.index({ productId: 1, status: 1, createdAt: -1 });
+
+// Recompute Product.rating (rounded to one decimal) and reviewCount from published reviews
+reviewSchema.statics.recomputeProductRating = async function (productId) {
+  const [stats] = await this.aggregate([
+    { $match: { productId: new mongoose.Types.ObjectId(String(productId)), status: "published" } },
+    { $group: { _id: null, average: { $avg: "$rating" }, count: { $sum: 1 } } },
+  ]);
+
+  const rating = stats ? Math.round(stats.average * 10) / 10 : 0;
+  const reviewCount = stats ? stats.count : 0;
+  await mongoose.model("Product").updateOne({ _id: productId }, { $set: { rating, reviewCount } });
+  return { rating, reviewCount };
+};
+
+module.exports = mongoose.model("Review", reviewSchema);
+module.exports.REVIEW_STATUSES = REVIEW_STATUSES;
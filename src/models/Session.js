@@ -0,0 +1,21 @@
+const mongoose = require("mongoose");
+
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    refreshTokenHash: { type: String, required: true }, // SHA-256 of the current refresh token secret
+    device: { type: String, default: "Unknown device" }, // User-Agent of the client that logged in
+    ip: { type: String },
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true, expires: 0 }, // MongoDB TTL removes the session once it expires
+    revokedAt: { type: Date },
+    revokedReason: { type: String, enum: ["logout", "logout-all", "revoked", "token-reuse"] },
+  },
+  { timestamps: true }
+);
+
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model("Session", sessionSchema);
@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+
+// opening    - balance carried over from before the ledger (first entry per product/variant)
+// receipt    - goods received into stock
+// sale       - units shipped on a delivered order (or a manual sold-count change)
+// return     - units returned by a customer (back on hand, no longer sold)
+// adjustment - manual correction, always with a reason
+// damaged    - units written off
+const MOVEMENT_TYPES = ["opening", "receipt", "sale", "return", "adjustment", "damaged"];
+
+// Append-only: entries are never updated or deleted, corrections are new entries
+const stockMovementSchema = new mongoose.Schema(
+  {
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
+    variantId: { type: mongoose.Schema.Types.ObjectId, default: null }, // Product.variants._id
+    sku: { type: String },
+    type: { type: String, enum: MOVEMENT_TYPES, required: true },
+    quantity: { type: Number, required: true }, // Change to stockQuantity (negative when units leave)
+    soldDelta: { type: Number, default: 0 }, // Change to sold
+    balanceAfter: { type: Number }, // stockQuantity right after this movement
+    reason: { type: String, trim: true },
+    orderId: { type: Number }, // Order.id for sales and returns
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    actorName: { type: String },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+stockMovementSchema.index({ productId: 1, variantId: 1, createdAt: -1 });
+
+const rejectChange = function () {
+  throw new Error("Stock movements are append-only; post a correcting movement instead");
+};
+
+["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "deleteOne", "deleteMany", "findOneAndDelete"].forEach(
+  (operation) => stockMovementSchema.pre(operation, rejectChange)
+);
+stockMovementSchema.pre("save", function () {
+  if (!this.isNew) rejectChange();
+});
+
+module.exports = mongoose.model("StockMovement", stockMovementSchema);
+module.exports.MOVEMENT_TYPES = MOVEMENT_TYPES;
@@ -5,8 +5,37 @@ const userSchema = new mongoose.Schema({
   phoneNumber: { type: String, required: true, unique: true },
   email: { type: String, required: true, unique: true },
   password: { type: String, required: true },
-  otp: String, // Store OTP for login validation
+  emailVerified: { type: Boolean, default: false }, // Required before placing orders
+  role: { type: String, enum: ["customer", "staff", "admin"], default: "customer" }, // Access level checked by permissionMiddleware
+  locale: { type: String, enum: ["en", "am"], default: "en" }, // Language for emails
+  preferredLoginMethod: { type: String, enum: ["otp", "password"], default: "otp" }, // Which login form the frontends show first
+  passwordAttempts: { type: Number, default: 0 }, // Failed password logins since the last success
+  passwordLockedUntil: Date, // Set after too many failed password logins
+  otpHash: String, // bcrypt hash of the current login OTP (never the plaintext)
   otpExpiry: Date, // Store OTP expiry time
+  otpAttempts: { type: Number, default: 0 }, // Failed guesses against the current OTP
+  otpLockedUntil: Date, // Set after too many failed guesses
+  otpLastSentAt: Date, // For the login OTP resend cooldown
+  otpChannel: { type: String, enum: ["email", "sms"] }, // Where the current login OTP was sent
+  otpDestination: String, // The email address or phone number it was sent to
+  otpSendCount: { type: Number, default: 0 }, // OTPs sent in the current 24h window
+  otpSendWindowStart: Date,
+  // Email or phone change waiting for OTP confirmation from the new address
+  pendingContact: {
+    field: { type: String, enum: ["email", "phoneNumber"] },
+    value: String,
+    otpHash: String,
+    otpExpiry: Date,
+    otpAttempts: { type: Number, default: 0 },
+    otpLastSentAt: Date,
+  },
+  // Code sent to confirm the account's email address
+  emailVerification: {
+    otpHash: String,
+    otpExpiry: Date,
+    otpAttempts: { type: Number, default: 0 },
+    otpLastSentAt: Date,
+  },
 });
 
 module.exports = mongoose.model("User", userSchema);
@@ -0,0 +1,21 @@
+const express = require("express");
+const router = express.Router();
+const { getAuditLogs } = require("../controllers/auditController");
+const { getReviews } = require("../controllers/reviewController");
+const { getStockReconciliation } = require("../controllers/stockController");
+const { getPaymentQueue } = require("../controllers/paymentController");
+const { authorize } = require("../middlewares/permissionMiddleware");
+
+// Audit log of state-changing requests
+router.get("/audit", authorize("audit.list"), getAuditLogs);
+
+// Review moderation queue
+router.get("/reviews", authorize("reviews.listAll"), getReviews);
+
+// Payment proofs waiting for review
+router.get("/payments", authorize("orders.paymentQueue"), getPaymentQueue);
+
+// Stock vs ledger vs shipped orders
+router.get("/stock/reconciliation", authorize("stock.reconcile"), getStockReconciliation);
+
+module.exports = router;
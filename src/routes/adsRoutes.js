@@ -1,17 +1,19 @@
 const express = require("express");
 const router = express.Router();
 const adsController = require("../controllers/adsController");
+const { authorize } = require("../middlewares/permissionMiddleware");
+const audit = require("../middlewares/auditMiddleware");
 
 // Upload ad (uses multer middleware from controller)
-router.post("/:type", adsController.uploadAd);
+router.post("/:type", authorize("ads.create"), audit("ads.create"), adsController.uploadAd);
 
 // Get ads by type
-router.get("/:type", adsController.getAds);
+router.get("/:type", authorize("ads.list"), adsController.getAds);
 
 // Delete ad by ID
-router.delete("/:id", adsController.deleteAd);
+router.delete("/:id", authorize("ads.delete"), audit("ads.delete"), adsController.deleteAd);
 
 // Update ad by ID (uses multer middleware from controller)
-router.put("/:id", adsController.updateAd);
+router.put("/:id", authorize("ads.update"), audit("ads.update"), adsController.updateAd);
 
 module.exports = router;
\ No newline at end of file
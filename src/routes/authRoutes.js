@@ -1,10 +1,39 @@
 const express = require("express");
 const router = express.Router();
-const { registerUser, loginUser, verifyOTP } = require("../controllers/authController");
+const {
+  registerUser,
+  loginUser,
+  verifyOTP,
+  verifyEmail,
+  resendVerificationEmail,
+  loginWithPassword,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  updateLoginMethod,
+  refreshSession,
+  logout,
+  logoutAll,
+  getSessions,
+  deleteSession,
+} = require("../controllers/authController");
+const authMiddleware = require("../middlewares/authMiddleware");
 
 router.post("/register", registerUser);
 router.post("/login", loginUser);
 router.post("/verify-otp", verifyOTP);  
+router.post("/verify-email", verifyEmail);
+router.post("/verify-email/resend", resendVerificationEmail);
+router.post("/login/password", loginWithPassword);
+router.post("/password/forgot", forgotPassword);
+router.post("/password/reset", resetPassword);
+router.put("/password", authMiddleware, changePassword);
+router.put("/login-method", authMiddleware, updateLoginMethod);
+router.post("/refresh", refreshSession);
+router.post("/logout", authMiddleware, logout);
+router.post("/logout-all", authMiddleware, logoutAll);
+router.get("/sessions", authMiddleware, getSessions);
+router.delete("/sessions/:sessionId", authMiddleware, deleteSession);
 
 
 module.exports = router;
@@ -6,26 +6,42 @@ const {
   updateCartItem,
   clearCartByUserId,
   getCartItem, // Import the new function
+  applyCoupon,
+  removeCoupon,
 } = require("../controllers/cartController");
-const { uploadImage } = require("../middlewares/uploadMiddleware");
+const multer = require("multer");
 const authMiddleware = require("../middlewares/authMiddleware");
+const cartOwner = require("../middlewares/cartOwnerMiddleware");
 
 const router = express.Router();
 
-router.get("/", authMiddleware, getCart);
+// Signed-in customers use their Bearer token; guests send the X-Guest-Token
+// they got from their first POST /api/cart (merged into their cart on login)
+router.get("/", cartOwner("optional"), getCart);
 
 // New route to get a specific cart item
-router.get("/:productId", authMiddleware, getCartItem);
+router.get("/:productId", cartOwner(), getCartItem);
 
-// Check if an image exists before applying `uploadImage`
-router.post("/", authMiddleware, uploadImage, (req, res, next) => {
-  console.log("🟢 Incoming Cart Request:", req.body);
-  console.log("🟢 Uploaded File:", req.file);
-  next();
-}, addToCart);
+// Multer storage that reads uploaded files to the end and keeps nothing
+const discardFiles = {
+  _handleFile: (req, file, cb) => {
+    file.stream.on("error", cb);
+    file.stream.on("end", () => cb(null, {}));
+    file.stream.resume();
+  },
+  _removeFile: (req, file, cb) => cb(null),
+};
 
-router.delete("/:id", authMiddleware, removeFromCart);
-router.put("/:id", authMiddleware, updateCartItem);
+// Still accepts form-data bodies; only productId, variantId and quantity are
+// read. Older clients also post the product image, which is ignored.
+router.post("/", cartOwner("issue"), multer({ storage: discardFiles, limits: { fileSize: 10 * 1024 * 1024 } }).any(), addToCart);
+
+// Coupon codes (before "/:id" so "coupon" isn't taken for a product ID)
+router.post("/coupon", cartOwner(), applyCoupon);
+router.delete("/coupon", cartOwner(), removeCoupon);
+
+router.delete("/:id", cartOwner(), removeFromCart);
+router.put("/:id", cartOwner(), updateCartItem);
 router.delete("/user/:userId", authMiddleware, clearCartByUserId);
 
 module.exports = router;
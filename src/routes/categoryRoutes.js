@@ -8,12 +8,14 @@ const {
   deleteCategory,
   upload, // Import the upload middleware
 } = require("../controllers/categoryController");
+const { authorize } = require("../middlewares/permissionMiddleware");
+const audit = require("../middlewares/auditMiddleware");
 
 // Category Routes
-router.post("/", upload.single("image"), createCategory); // Create category with image upload
-router.get("/", getCategories); // Get all categories
-router.get("/:id", getCategoryById); // Get a single category
-router.put("/:id", upload.single("image"), updateCategory); // Update category with optional image
-router.delete("/:id", deleteCategory); // Delete category
+router.post("/", authorize("categories.create"), audit("categories.create"), upload.single("image"), createCategory); // Create category with image upload
+router.get("/", authorize("categories.list"), getCategories); // Get all categories
+router.get("/:id", authorize("categories.read"), getCategoryById); // Get a single category
+router.put("/:id", authorize("categories.update"), audit("categories.update"), upload.single("image"), updateCategory); // Update category with optional image
+router.delete("/:id", authorize("categories.delete"), audit("categories.delete"), deleteCategory); // Delete category
 
 module.exports = router;
@@ -0,0 +1,21 @@
+const express = require("express");
+const router = express.Router();
+const orderController = require("../controllers/orderController");
+const { authorize } = require("../middlewares/permissionMiddleware");
+const audit = require("../middlewares/auditMiddleware");
+const emailVerifiedMiddleware = require("../middlewares/emailVerifiedMiddleware");
+const idempotency = require("../middlewares/idempotencyMiddleware");
+
+// Place an order from the signed-in customer's cart (multipart, optional paymentImage).
+// Accepts an Idempotency-Key header like POST /api/orders.
+router.post(
+  "/",
+  authorize("orders.checkout"),
+  emailVerifiedMiddleware,
+  orderController.upload,
+  idempotency(),
+  audit("orders.checkout"),
+  orderController.checkout
+);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getCoupons,
+  getCouponById,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+} = require("../controllers/couponController");
+const { authorize } = require("../middlewares/permissionMiddleware");
+const audit = require("../middlewares/auditMiddleware");
+
+// Coupon Routes (customers apply codes via /api/cart/coupon)
+router.get("/", authorize("coupons.list"), getCoupons);
+router.get("/:id", authorize("coupons.list"), getCouponById);
+router.post("/", authorize("coupons.create"), audit("coupons.create"), createCoupon);
+router.put("/:id", authorize("coupons.update"), audit("coupons.update"), updateCoupon);
+router.delete("/:id", authorize("coupons.delete"), audit("coupons.delete"), deleteCoupon);
+
+module.exports = router;
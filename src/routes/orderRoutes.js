@@ -1,7 +1,13 @@
 const express = require("express");
 const router = express.Router();
 const orderController = require("../controllers/orderController");
+const { uploadPaymentProof, reviewPayment } = require("../controllers/paymentController");
+const Order = require("../models/Order");
 const multer = require("multer");
+const { authorize } = require("../middlewares/permissionMiddleware");
+const audit = require("../middlewares/auditMiddleware");
+const emailVerifiedMiddleware = require("../middlewares/emailVerifiedMiddleware");
+const idempotency = require("../middlewares/idempotencyMiddleware");
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -14,23 +20,36 @@ const storage = multer.diskStorage({
 });
 const upload = multer({ storage });
 
-// Use correct file handling
+// Bulk delete has no single record to snapshot; audit the order count instead
+const countOrders = () => Order.countDocuments().then((count) => ({ count }));
+
+// Use correct file handling. Retries with the same Idempotency-Key header get
+// the first response back instead of a second order (checked after the body is parsed).
 router.post(
   "/",
+  authorize("orders.create"),
+  emailVerifiedMiddleware,
   upload.fields([
     { name: "avatar", maxCount: 1 },  // ✅ Fix: Add avatar field
     { name: "paymentImage", maxCount: 1 },
     { name: "productImages", maxCount: 10 },
   ]),
+  idempotency(),
+  audit("orders.create"),
   orderController.createOrder
 );
-router.get("/:orderId/:userId", orderController.getOrderByOrderIdAndUserId);
+router.get("/:id/timeline", authorize("orders.read"), orderController.getOrderTimeline);
+
+// Payment proofs: customers upload (again after a rejection), staff approve or reject
+router.post("/:id/payment-proof", authorize("orders.paymentProof"), orderController.upload, audit("orders.paymentProof"), uploadPaymentProof);
+router.post("/:id/payment-review", authorize("orders.paymentReview"), audit("orders.paymentReview"), reviewPayment);
+router.get("/:orderId/:userId", authorize("orders.readOwn"), orderController.getOrderByOrderIdAndUserId);
 
 
-router.get("/", orderController.getOrders);
-router.get("/:id", orderController.getOrderById);
-router.put("/:id", upload.fields([{ name: "paymentImage", maxCount: 1 }]), orderController.updateOrder);
-router.delete("/:id", orderController.deleteOrder);
-router.delete("/", orderController.deleteAllOrders);
+router.get("/", authorize("orders.list"), orderController.getOrders);
+router.get("/:id", authorize("orders.read"), orderController.getOrderById);
+router.put("/:id", authorize("orders.update"), audit("orders.update"), upload.fields([{ name: "paymentImage", maxCount: 1 }]), orderController.updateOrder);
+router.delete("/:id", authorize("orders.delete"), audit("orders.delete"), orderController.deleteOrder);
+router.delete("/", authorize("orders.deleteAll"), audit("orders.deleteAll", { find: countOrders }), orderController.deleteAllOrders);
 
 module.exports = router;
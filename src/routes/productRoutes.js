@@ -1,17 +1,45 @@
 const express = require("express");
 const router = express.Router();
 const productController = require("../controllers/productController");
+const reviewController = require("../controllers/reviewController");
+const stockController = require("../controllers/stockController");
+const productCsvController = require("../controllers/productCsvController");
+const Product = require("../models/Product");
+const { authorize } = require("../middlewares/permissionMiddleware");
+const audit = require("../middlewares/auditMiddleware");
+
+// Bulk import has no single record to snapshot; audit the product count instead
+const countProducts = () => Product.countDocuments().then((count) => ({ count }));
 
 // Product routes
-router.post("/", productController.createProduct);
-router.get("/", productController.getAllProducts);
-router.get("/discounted", productController.getDiscountedProducts);
-router.get("/bestsellers", productController.getBestSellers);
-router.get("/nondiscount", productController.getNonDiscountedProducts);
-router.get("/:id", productController.getProductById);
+router.post("/", authorize("products.create"), audit("products.create"), productController.createProduct);
+router.get("/", authorize("products.list"), productController.getAllProducts);
+router.get("/discounted", authorize("products.list"), productController.getDiscountedProducts);
+router.get("/bestsellers", authorize("products.list"), productController.getBestSellers);
+router.get("/nondiscount", authorize("products.list"), productController.getNonDiscountedProducts);
+router.post("/import", authorize("products.import"), audit("products.import", { find: countProducts }), productCsvController.importProducts);
+router.get("/export", authorize("products.export"), productCsvController.exportProducts);
+router.get("/:id", authorize("products.read"), productController.getProductById);
 // In your productRoutes.js
-router.get("/category/:categoryId", productController.getProductsByCategory);
-router.put("/:id", productController.updateProduct);
-router.delete("/:id", productController.deleteProduct);
+router.get("/category/:categoryId", authorize("products.list"), productController.getProductsByCategory);
+router.put("/:id", authorize("products.update"), audit("products.update"), productController.updateProduct);
+router.delete("/:id", authorize("products.delete"), audit("products.delete"), productController.deleteProduct);
+
+// Variants (stock, price and images per option combination)
+router.post("/:id/variants", authorize("products.update"), audit("products.update"), productController.addVariant);
+router.put("/:id/variants/:variantId", authorize("products.update"), audit("products.update"), productController.updateVariant);
+router.delete("/:id/variants/:variantId", authorize("products.update"), audit("products.update"), productController.deleteVariant);
+
+// Inventory: on hand, reserved by open orders, available
+router.get("/:id/stock", authorize("products.stock"), productController.getProductStock);
+router.get("/:id/stock/movements", authorize("stock.history"), stockController.getStockMovements);
+router.post("/:id/stock/movements", authorize("stock.adjust"), audit("stock.adjust"), stockController.postStockMovement);
+
+// Reviews (drive Product.rating and reviewCount)
+router.get("/:id/reviews", authorize("reviews.list"), reviewController.getProductReviews);
+router.post("/:id/reviews", authorize("reviews.create"), reviewController.createReview);
+router.put("/:id/reviews/:reviewId", authorize("reviews.update"), reviewController.updateReview);
+router.delete("/:id/reviews/:reviewId", authorize("reviews.delete"), audit("reviews.delete"), reviewController.deleteReview);
+router.put("/:id/reviews/:reviewId/moderation", authorize("reviews.moderate"), audit("reviews.moderate"), reviewController.moderateReview);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,22 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getPromotions,
+  getActivePromotionsList,
+  getPromotionById,
+  createPromotion,
+  updatePromotion,
+  deletePromotion,
+} = require("../controllers/promotionController");
+const { authorize } = require("../middlewares/permissionMiddleware");
+const audit = require("../middlewares/auditMiddleware");
+
+// Promotion Routes (prices are applied in utils/pricing)
+router.get("/active", authorize("promotions.active"), getActivePromotionsList); // Running now, public
+router.get("/", authorize("promotions.list"), getPromotions);
+router.get("/:id", authorize("promotions.list"), getPromotionById);
+router.post("/", authorize("promotions.create"), audit("promotions.create"), createPromotion);
+router.put("/:id", authorize("promotions.update"), audit("promotions.update"), updatePromotion);
+router.delete("/:id", authorize("promotions.delete"), audit("promotions.delete"), deletePromotion);
+
+module.exports = router;
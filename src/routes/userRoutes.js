@@ -1,49 +1,58 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const router = express.Router();
-const authMiddleware = require("../middlewares/authMiddleware");
-const UserOrder = require("../models/UserOrder");
+const { authorize, isPrivileged, canAccessUserResource } = require("../middlewares/permissionMiddleware");
+const audit = require("../middlewares/auditMiddleware");
+const User = require("../models/Users");
+const { ROLES } = require("../config/permissions");
+const Order = require("../models/Order");
 const Message = require("../models/Message");
 const Notification = require("../models/Notification");
-
-// ===================== CRUD Operations for Orders =====================
-
-// Create Order
-router.post("/orders", authMiddleware, async (req, res) => {
-  const { userId, date, status, total, orderId } = req.body;
-
-  if (!userId || !date || !status || total === undefined || !orderId) {
-    return res.status(400).json({ message: "All fields are required, including orderId" });
-  }
-
-  try {
-    // Check if orderId already exists
-    const existingOrder = await UserOrder.findOne({ orderId });
-    if (existingOrder) {
-      return res.status(400).json({ message: "Order with this ID already exists" });
-    }
-
-    const newOrder = new UserOrder({
-      userId,
-      date,
-      status,
-      total,
-      orderId,
-    });
-
-    await newOrder.save();
-    res.status(201).json({ message: "Order created successfully", newOrder });
-  } catch (error) {
-    console.error("Error creating order:", error);
-    res.status(500).json({ message: "Error creating order", error: error.message });
-  }
-});
-
+const {
+  getProfile,
+  updateProfile,
+  requestContactChange,
+  confirmContactChange,
+  deleteAccount,
+} = require("../controllers/userController");
+const {
+  getAddresses,
+  createAddress,
+  updateAddress,
+  setDefaultAddress,
+  deleteAddress,
+} = require("../controllers/addressController");
+
+// ===================== Own Profile =====================
+
+router.get("/me", authorize("users.me"), getProfile);
+router.put("/me", authorize("users.me"), audit("users.updateProfile"), updateProfile);
+router.post("/me/contact", authorize("users.me"), requestContactChange); // Send OTP to the new email/phone
+router.post("/me/contact/verify", authorize("users.me"), audit("users.changeContact"), confirmContactChange);
+router.delete(
+  "/me",
+  authorize("users.me"),
+  audit("users.deleteAccount", { redact: ["fullName", "email", "phoneNumber", "pendingContact"], redactActor: true }),
+  deleteAccount
+);
+
+// Address book
+router.get("/me/addresses", authorize("users.me"), getAddresses);
+router.post("/me/addresses", authorize("users.me"), createAddress);
+router.put("/me/addresses/:addressId", authorize("users.me"), updateAddress);
+router.put("/me/addresses/:addressId/default", authorize("users.me"), setDefaultAddress);
+router.delete("/me/addresses/:addressId", authorize("users.me"), deleteAddress);
+
+// ===================== Orders (read-only views over Order) =====================
+// Orders are created and changed through /api/orders and /api/checkout; these
+// return the summary shape (orderId, userId, date, status, total) clients used
+// to keep in a separate collection.
 
 // Fetch All Orders
-router.get("/orders", authMiddleware, async (req, res) => {
+router.get("/orders", authorize("userOrders.list"), async (req, res) => {
   try {
-    const orders = await UserOrder.find();
-    res.json({ orders });
+    const orders = await Order.find().sort({ createdAt: -1 });
+    res.json({ orders: orders.map((order) => order.toUserOrderView()) });
   } catch (error) {
     console.error("Error fetching orders:", error);
     res.status(500).json({ message: "Error fetching orders" });
@@ -51,70 +60,42 @@ router.get("/orders", authMiddleware, async (req, res) => {
 });
 
 // Fetch Orders by User ID
-router.get("/orders/:userId", authMiddleware, async (req, res) => {
+router.get("/orders/:userId", authorize("userOrders.listByUser"), async (req, res) => {
   try {
-    const orders = await UserOrder.find({ userId: req.params.userId });
-    res.json({ orders });
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) return res.json({ orders: [] });
+
+    const orders = await Order.find({ userId: req.params.userId }).sort({ createdAt: -1 });
+    res.json({ orders: orders.map((order) => order.toUserOrderView()) });
   } catch (error) {
     console.error("Error fetching orders:", error);
     res.status(500).json({ message: "Error fetching orders" });
   }
 });
 
-// Update Order
-router.put("/orders/:orderId", authMiddleware, async (req, res) => {
-  try {
-    const updatedOrder = await UserOrder.findByIdAndUpdate(
-      req.params.orderId,
-      req.body,
-      { new: true }
-    );
-    if (!updatedOrder) return res.status(404).json({ message: "Order not found" });
-    res.json({ message: "Order updated successfully", updatedOrder });
-  } catch (error) {
-    res.status(500).json({ message: "Error updating order" });
-  }
-});
-
 // Get Order by orderId and userId
-router.get("/orders/:orderId/:userId", authMiddleware, async (req, res) => {
+router.get("/orders/:orderId/:userId", authorize("userOrders.read"), async (req, res) => {
   try {
-    // Find the order using both orderId and userId
-    const order = await UserOrder.findOne({ orderId: req.params.orderId, userId: req.params.userId });
+    const { orderId, userId } = req.params;
+    const order =
+      mongoose.Types.ObjectId.isValid(userId) && /^\d+$/.test(orderId)
+        ? await Order.findOne({ id: Number(orderId), userId })
+        : null;
 
     if (!order) {
       return res.status(404).json({ message: "Order not found" });
     }
 
-    // Send the order details back
-    res.json({ order });
+    res.json({ order: order.toUserOrderView() });
   } catch (error) {
     res.status(500).json({ message: "Error retrieving order" });
   }
 });
 
 
-// Delete Order by orderId
-router.delete("/orders/:orderId", authMiddleware, async (req, res) => {
-  try {
-    // Find and delete the order by orderId
-    const deletedOrder = await UserOrder.findOneAndDelete({ orderId: req.params.orderId });
-
-    if (!deletedOrder) {
-      return res.status(404).json({ message: "Order not found" });
-    }
-
-    res.json({ message: "Order deleted successfully" });
-  } catch (error) {
-    res.status(500).json({ message: "Error deleting order" });
-  }
-});
-
-
 // ===================== CRUD Operations for Messages =====================
 
 // Create Message
-router.post("/messages", authMiddleware, async (req, res) => {
+router.post("/messages", authorize("messages.create"), async (req, res) => {
   const { userId, from, message } = req.body;
 
   if (!userId || !from || !message) {
@@ -131,7 +112,7 @@ router.post("/messages", authMiddleware, async (req, res) => {
 });
 
 // Fetch All Messages
-router.get("/messages", authMiddleware, async (req, res) => {
+router.get("/messages", authorize("messages.list"), async (req, res) => {
   try {
     const messages = await Message.find();
     res.json({ messages });
@@ -141,7 +122,7 @@ router.get("/messages", authMiddleware, async (req, res) => {
 });
 
 // Fetch Messages by User ID
-router.get("/messages/:userId", authMiddleware, async (req, res) => {
+router.get("/messages/:userId", authorize("messages.listByUser"), async (req, res) => {
   try {
     const messages = await Message.find({ userId: req.params.userId });
     res.json({ messages });
@@ -150,13 +131,35 @@ router.get("/messages/:userId", authMiddleware, async (req, res) => {
   }
 });
 
+// What a PUT on a message or notification may change: customers can only mark
+// it read; staff can also correct the text. The owner, author and dates are fixed.
+const STAFF_MESSAGE_FIELDS = ["read", "message"];
+const STAFF_NOTIFICATION_FIELDS = ["read", "message"];
+
+const editableFields = (req, staffFields) => {
+  const fields = isPrivileged(req.user) ? staffFields : ["read"];
+  const updates = {};
+  fields.forEach((field) => {
+    if (req.body[field] === undefined) return;
+    updates[field] = field === "read" ? req.body.read === true || req.body.read === "true" : String(req.body[field]);
+  });
+  return updates;
+};
+
 // Update Message
-router.put("/messages/:messageId", authMiddleware, async (req, res) => {
+router.put("/messages/:messageId", authorize("messages.update"), async (req, res) => {
   try {
+    const existingMessage = await Message.findById(req.params.messageId);
+    if (!existingMessage) return res.status(404).json({ message: "Message not found" });
+
+    if (!canAccessUserResource(req.user, existingMessage.userId)) {
+      return res.status(403).json({ message: "Not authorized to update this message" });
+    }
+
     const updatedMessage = await Message.findByIdAndUpdate(
       req.params.messageId,
-      req.body,
-      { new: true }
+      { $set: editableFields(req, STAFF_MESSAGE_FIELDS) },
+      { new: true, runValidators: true }
     );
     if (!updatedMessage) return res.status(404).json({ message: "Message not found" });
     res.json({ message: "Message updated successfully", updatedMessage });
@@ -166,10 +169,16 @@ router.put("/messages/:messageId", authMiddleware, async (req, res) => {
 });
 
 // Delete Message
-router.delete("/messages/:messageId", authMiddleware, async (req, res) => {
+router.delete("/messages/:messageId", authorize("messages.delete"), async (req, res) => {
   try {
-    const deletedMessage = await Message.findByIdAndDelete(req.params.messageId);
-    if (!deletedMessage) return res.status(404).json({ message: "Message not found" });
+    const existingMessage = await Message.findById(req.params.messageId);
+    if (!existingMessage) return res.status(404).json({ message: "Message not found" });
+
+    if (!canAccessUserResource(req.user, existingMessage.userId)) {
+      return res.status(403).json({ message: "Not authorized to delete this message" });
+    }
+
+    await existingMessage.deleteOne();
     res.json({ message: "Message deleted successfully" });
   } catch (error) {
     res.status(500).json({ message: "Error deleting message" });
@@ -179,7 +188,7 @@ router.delete("/messages/:messageId", authMiddleware, async (req, res) => {
 // ===================== CRUD Operations for Notifications =====================
 
 // Create Notification
-router.post("/notifications", authMiddleware, async (req, res) => {
+router.post("/notifications", authorize("notifications.create"), async (req, res) => {
   const { userId, orderId, message } = req.body;
 
   if (!userId || !message) {
@@ -201,7 +210,7 @@ router.post("/notifications", authMiddleware, async (req, res) => {
   }
 });
 // Fetch Notifications for Logged-in User
-router.get("/notifications", authMiddleware, async (req, res) => {
+router.get("/notifications", authorize("notifications.listOwn"), async (req, res) => {
   try {
     const userId = req.user.id; // Extract user ID from auth middleware
 
@@ -215,7 +224,7 @@ router.get("/notifications", authMiddleware, async (req, res) => {
 });
 
 // Fetch Notifications by User ID
-router.get("/notifications/:userId", authMiddleware, async (req, res) => {
+router.get("/notifications/:userId", authorize("notifications.listByUser"), async (req, res) => {
   try {
     const notifications = await Notification.find({ userId: req.params.userId }).sort({ date: -1 });
 
@@ -227,12 +236,19 @@ router.get("/notifications/:userId", authMiddleware, async (req, res) => {
 });
 
 // Update Notification
-router.put("/notifications/:notificationId", authMiddleware, async (req, res) => {
+router.put("/notifications/:notificationId", authorize("notifications.update"), async (req, res) => {
   try {
+    const existingNotification = await Notification.findById(req.params.notificationId);
+    if (!existingNotification) return res.status(404).json({ message: "Notification not found" });
+
+    if (!canAccessUserResource(req.user, existingNotification.userId)) {
+      return res.status(403).json({ message: "Not authorized to update this notification" });
+    }
+
     const updatedNotification = await Notification.findByIdAndUpdate(
       req.params.notificationId,
-      req.body,
-      { new: true }
+      { $set: editableFields(req, STAFF_NOTIFICATION_FIELDS) },
+      { new: true, runValidators: true }
     );
 
     if (!updatedNotification) return res.status(404).json({ message: "Notification not found" });
@@ -245,12 +261,12 @@ router.put("/notifications/:notificationId", authMiddleware, async (req, res) =>
 });
 
 // Delete Notification (Only if it belongs to the user)
-router.delete("/notifications/:notificationId", authMiddleware, async (req, res) => {
+router.delete("/notifications/:notificationId", authorize("notifications.delete"), async (req, res) => {
   try {
     const notification = await Notification.findById(req.params.notificationId);
     if (!notification) return res.status(404).json({ message: "Notification not found" });
 
-    if (notification.userId.toString() !== req.user.id) {
+    if (!canAccessUserResource(req.user, notification.userId)) {
       return res.status(403).json({ message: "Not authorized to delete this notification" });
     }
 
@@ -262,4 +278,30 @@ router.delete("/notifications/:notificationId", authMiddleware, async (req, res)
   }
 });
 
+// ===================== User Roles =====================
+
+// Change a user's role (admin only)
+router.put("/:userId/role", authorize("users.updateRole"), audit("users.updateRole"), async (req, res) => {
+  const { role } = req.body;
+
+  if (!Object.values(ROLES).includes(role)) {
+    return res.status(400).json({ message: `Role must be one of: ${Object.values(ROLES).join(", ")}` });
+  }
+
+  try {
+    const updatedUser = await User.findByIdAndUpdate(
+      req.params.userId,
+      { role },
+      { new: true, runValidators: true }
+    ).select("-password -otpHash");
+
+    if (!updatedUser) return res.status(404).json({ message: "User not found" });
+
+    res.json({ message: "User role updated successfully", user: updatedUser });
+  } catch (error) {
+    console.error("Error updating user role:", error);
+    res.status(500).json({ message: "Error updating user role" });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,117 @@
+const Product = require("../models/Product");
+const { getActivePromotions, priceProduct } = require("./pricing");
+const { evaluateCoupon } = require("./coupons");
+const { getImageUrl } = require("./storage");
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Line status in a priced cart:
+//   ok                  - can be ordered
+//   deleted             - the product (or variant) no longer exists
+//   variant_required    - the product now has variants; pick one again
+//   out_of_stock        - nothing available right now
+// Only "ok" lines count towards the totals and checkout.
+const LINE_OK = "ok";
+
+// Cart lines are identified by product and, for products with variants, variant
+const matchesItem = (item, productId, variantId) =>
+  String(item.productId) === String(productId) &&
+  String(item.variantId || "") === String(variantId || "");
+
+// Build the customer-facing view of a cart from current Product data: names,
+// images, prices (promotions applied), stock, totals and the coupon breakdown.
+// Quantities above the available stock are capped on `cart` itself; the result's
+// `changed` tells the caller to save it.
+const priceCart = async (cart) => {
+  const [products, promotions] = await Promise.all([
+    Product.find({ _id: { $in: cart.items.map((item) => item.productId) } }),
+    getActivePromotions(),
+  ]);
+  const productById = new Map(products.map((product) => [String(product._id), product]));
+
+  let changed = false;
+  const items = cart.items.map((item) => {
+    const product = productById.get(String(item.productId));
+    const line = { _id: item._id, productId: item.productId, variantId: item.variantId, quantity: item.quantity };
+
+    if (!product) return { ...line, status: "deleted", lineTotal: 0 };
+
+    const variant = product.findVariant(item.variantId);
+    if (item.variantId && !variant) return { ...line, productName: product.name, status: "deleted", lineTotal: 0 };
+    if (!variant && product.variants.length > 0) {
+      return { ...line, productName: product.name, status: "variant_required", lineTotal: 0 };
+    }
+
+    const pricing = priceProduct(product, promotions, variant);
+    const availableQuantity = (variant || product).stockLevels().available;
+
+    let status = LINE_OK;
+    let quantityCapped = false;
+    if (availableQuantity === 0) {
+      status = "out_of_stock";
+    } else if (item.quantity > availableQuantity) {
+      item.quantity = availableQuantity;
+      quantityCapped = true;
+      changed = true;
+    }
+
+    const images = variant?.images.length ? variant.images : product.images;
+    return {
+      ...line,
+      quantity: item.quantity,
+      productName: product.name,
+      sku: variant?.sku || product.sku,
+      variantLabel: variant?.label(),
+      img: getImageUrl(images?.[0]),
+      price: pricing.price,
+      originalPrice: pricing.originalPrice,
+      promotion: pricing.promotion,
+      availableQuantity,
+      quantityCapped,
+      status,
+      categoryId: product.category,
+      lineTotal: status === LINE_OK ? round(pricing.price * item.quantity) : 0,
+    };
+  });
+
+  const orderable = items.filter((item) => item.status === LINE_OK);
+  const subtotal = round(orderable.reduce((sum, item) => sum + item.originalPrice * item.quantity, 0));
+  const afterPromotions = round(orderable.reduce((sum, item) => sum + item.lineTotal, 0));
+
+  // A coupon that stopped applying (expired, cart changed) is reported, not silently dropped
+  let coupon = null;
+  let couponError = null;
+  if (cart.couponCode && orderable.length > 0) {
+    try {
+      ({ breakdown: coupon } = await evaluateCoupon(cart.couponCode, orderable, cart.userId));
+    } catch (error) {
+      if (!String(error.code).startsWith("COUPON_")) throw error;
+      couponError = { code: error.code, message: error.message, ...error.details };
+    }
+  }
+
+  const couponDiscount = coupon?.discount || 0;
+  return {
+    _id: cart._id,
+    userId: cart.userId,
+    couponCode: cart.couponCode,
+    items: items.map(({ categoryId, ...item }) => item),
+    coupon,
+    couponError,
+    hasIssues: items.some((item) => item.status !== LINE_OK || item.quantityCapped),
+    totals: {
+      subtotal,
+      promotionDiscount: round(subtotal - afterPromotions),
+      couponDiscount,
+      discount: round(subtotal - afterPromotions + couponDiscount),
+      total: round(afterPromotions - couponDiscount),
+    },
+    changed,
+  };
+};
+
+module.exports = {
+  LINE_OK,
+  matchesItem,
+  priceCart,
+};
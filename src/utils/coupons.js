@@ -0,0 +1,139 @@
+const Coupon = require("../models/Coupon");
+const CouponRedemption = require("../models/CouponRedemption");
+const httpError = require("./httpError");
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const normalizeCode = (code) => String(code || "").trim().toUpperCase();
+
+const appliesTo = (coupon, line) => {
+  if (coupon.products.length === 0 && coupon.categories.length === 0) return true;
+  return (
+    coupon.products.some((id) => String(id) === String(line.productId)) ||
+    coupon.categories.some((id) => String(id) === String(line.categoryId))
+  );
+};
+
+// Check `code` for a user's order lines and work out the discount.
+// lines: [{ productId, variantId, categoryId, price (unit, after promotions), quantity }]
+// Resolves to { coupon, breakdown }; throws httpError with a COUPON_* code,
+// COUPON_CUSTOMER_REQUIRED when there is no userId.
+const evaluateCoupon = async (code, lines, userId, now = new Date()) => {
+  // Per-customer limits need a customer (staff walk-in orders have none)
+  if (!userId) {
+    throw httpError(400, "COUPON_CUSTOMER_REQUIRED", "Coupons can only be used on orders placed for a customer account");
+  }
+
+  const coupon = await Coupon.findOne({ code: normalizeCode(code) });
+  if (!coupon || !coupon.enabled) {
+    throw httpError(404, "COUPON_NOT_FOUND", "This coupon code is not valid");
+  }
+  if (coupon.startsAt && now < coupon.startsAt) {
+    throw httpError(400, "COUPON_NOT_STARTED", "This coupon is not active yet", { startsAt: coupon.startsAt });
+  }
+  if (coupon.expiresAt && now >= coupon.expiresAt) {
+    throw httpError(400, "COUPON_EXPIRED", "This coupon has expired", { expiresAt: coupon.expiresAt });
+  }
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    throw httpError(400, "COUPON_USAGE_LIMIT", "This coupon has been fully redeemed");
+  }
+
+  const usage = await CouponRedemption.findOne({ couponId: coupon._id, userId: String(userId) });
+  if (usage && usage.count >= coupon.perUserLimit) {
+    throw httpError(400, "COUPON_USER_LIMIT", "You have already used this coupon");
+  }
+
+  const subtotal = round(lines.reduce((sum, line) => sum + line.price * line.quantity, 0));
+  if (subtotal < coupon.minOrderValue) {
+    throw httpError(400, "COUPON_MIN_ORDER", `Spend at least ${coupon.minOrderValue} ETB to use this coupon`, {
+      minOrderValue: coupon.minOrderValue,
+      shortBy: round(coupon.minOrderValue - subtotal),
+    });
+  }
+
+  const eligible = lines.filter((line) => appliesTo(coupon, line));
+  const eligibleSubtotal = round(eligible.reduce((sum, line) => sum + line.price * line.quantity, 0));
+  if (eligibleSubtotal <= 0) {
+    throw httpError(400, "COUPON_NOT_APPLICABLE", "This coupon doesn't apply to any item in your cart");
+  }
+
+  let discount = coupon.discountType === "percentage"
+    ? (eligibleSubtotal * coupon.value) / 100
+    : coupon.value;
+  if (coupon.discountType === "percentage" && coupon.maxDiscount) discount = Math.min(discount, coupon.maxDiscount);
+  discount = round(Math.min(discount, eligibleSubtotal));
+
+  // Spread the discount over the eligible lines by value; the last line takes the rounding remainder
+  let remaining = discount;
+  const lineDiscounts = eligible.map((line, index) => {
+    const share = index === eligible.length - 1
+      ? remaining
+      : round((discount * line.price * line.quantity) / eligibleSubtotal);
+    remaining = round(remaining - share);
+    return { productId: line.productId, variantId: line.variantId, discount: share };
+  });
+
+  return {
+    coupon,
+    breakdown: {
+      code: coupon.code,
+      description: coupon.description,
+      discountType: coupon.discountType,
+      value: coupon.value,
+      subtotal,
+      eligibleSubtotal,
+      discount,
+      total: round(subtotal - discount),
+      lines: lineDiscounts,
+    },
+  };
+};
+
+// Count one use of the coupon for the user, atomically against both limits.
+// Throws COUPON_USAGE_LIMIT / COUPON_USER_LIMIT if a concurrent checkout got there first.
+const redeemCoupon = async (coupon, userId, orderId, { session } = {}) => {
+  if (!userId) {
+    throw httpError(400, "COUPON_CUSTOMER_REQUIRED", "Coupons can only be used on orders placed for a customer account");
+  }
+
+  const claimed = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      enabled: true,
+      $or: [{ usageLimit: null }, { $expr: { $lt: ["$usedCount", "$usageLimit"] } }],
+    },
+    { $inc: { usedCount: 1 } },
+    { session }
+  );
+  if (!claimed) throw httpError(400, "COUPON_USAGE_LIMIT", "This coupon has been fully redeemed");
+
+  try {
+    // Upsert only while under the per-user limit; at the limit the insert hits the unique index
+    await CouponRedemption.findOneAndUpdate(
+      { couponId: coupon._id, userId: String(userId), count: { $lt: coupon.perUserLimit } },
+      { $inc: { count: 1 }, $push: { orderIds: orderId } },
+      { upsert: true, session }
+    );
+  } catch (error) {
+    // Inside a transaction the abort undoes the claim
+    if (!session) await Coupon.updateOne({ _id: coupon._id }, { $inc: { usedCount: -1 } });
+    if (error.code === 11000) throw httpError(400, "COUPON_USER_LIMIT", "You have already used this coupon");
+    throw error;
+  }
+};
+
+// Undo redeemCoupon (order failed or was cancelled)
+const releaseCoupon = async (couponId, userId, orderId) => {
+  await Coupon.updateOne({ _id: couponId, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+  await CouponRedemption.updateOne(
+    { couponId, userId: String(userId), count: { $gt: 0 } },
+    { $inc: { count: -1 }, $pull: { orderIds: orderId } }
+  );
+};
+
+module.exports = {
+  normalizeCode,
+  evaluateCoupon,
+  redeemCoupon,
+  releaseCoupon,
+};
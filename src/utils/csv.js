@@ -0,0 +1,88 @@
+// Minimal RFC 4180 CSV reading and writing: comma separated, fields may be
+// quoted with "..." and contain commas, newlines and doubled quotes ("").
+
+// Parse CSV text into an array of rows (arrays of strings)
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  const input = text.replace(/^\uFEFF/, ""); // Excel's byte order mark
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) throw new Error("Unterminated quoted field");
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ""));
+};
+
+// Text starting with = + - @ is prefixed with ' on export so spreadsheets
+// don't evaluate it as a formula; reading takes the prefix off again
+const FORMULA_START = /^[=+\-@]/;
+const ESCAPED_FORMULA = /^'[=+\-@]/;
+
+// Parse CSV with a header line into objects keyed by header name
+const parseCsvRecords = (text) => {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map((name) => name.trim());
+  const readCell = (cell = "") => {
+    const value = cell.trim();
+    return ESCAPED_FORMULA.test(value) ? value.slice(1) : value;
+  };
+  return {
+    columns,
+    records: rows.map((cells) => Object.fromEntries(columns.map((column, index) => [column, readCell(cells[index])]))),
+  };
+};
+
+// Quote a value when needed, escaping formula-like text (see FORMULA_START)
+const formatCell = (value) => {
+  if (value === undefined || value === null) return "";
+  let text = String(value);
+  if (typeof value === "string" && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Build CSV text from objects, one column per entry in `columns`
+const toCsv = (columns, records) =>
+  [columns, ...records.map((record) => columns.map((column) => record[column]))]
+    .map((cells) => cells.map(formatCell).join(","))
+    .join("\r\n") + "\r\n";
+
+module.exports = {
+  parseCsv,
+  parseCsvRecords,
+  toCsv,
+};
@@ -0,0 +1,90 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const Cart = require("../models/Cart");
+const { GUEST_CART_TTL_DAYS } = require("../models/Cart");
+const Product = require("../models/Product");
+const { matchesItem } = require("./cart");
+
+// Signed token naming an anonymous cart; it lasts as long as an untouched
+// guest cart. It has no session ID, so authMiddleware never accepts it as an access token.
+const issueGuestToken = () => {
+  const guestId = crypto.randomUUID();
+  const token = jwt.sign({ guestId, type: "guestCart" }, process.env.JWT_SECRET, {
+    expiresIn: `${GUEST_CART_TTL_DAYS}d`,
+  });
+  return { guestId, token };
+};
+
+// Guest ID from a token, or null if missing, forged or expired
+const readGuestToken = (token) => {
+  if (!token) return null;
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.type === "guestCart" && decoded.guestId ? decoded.guestId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Move a guest cart into the user's cart after login: quantities of the same
+// product/variant are summed and capped at the available stock; lines whose
+// product is gone are dropped. Never fails the login: errors are logged and
+// the guest cart is left as it was.
+// Resolves to { merged, capped, skipped } or null when there was nothing to merge.
+const mergeGuestCart = async (token, userId) => {
+  const guestId = readGuestToken(token);
+  if (!guestId) return null;
+
+  let guestCart = null;
+  try {
+    // Claim the guest cart first so two logins can't merge it twice; it is
+    // put back below if the merge fails
+    guestCart = await Cart.findOneAndDelete({ guestId });
+    if (!guestCart || guestCart.items.length === 0) return null;
+
+    const cart = (await Cart.findOne({ userId })) || new Cart({ userId, items: [] });
+    const products = await Product.find({ _id: { $in: guestCart.items.map((item) => item.productId) } });
+    const productById = new Map(products.map((product) => [String(product._id), product]));
+
+    const summary = { merged: 0, capped: [], skipped: [] };
+    guestCart.items.forEach((item) => {
+      const product = productById.get(String(item.productId));
+      const variant = product?.findVariant(item.variantId);
+      if (!product || (item.variantId && !variant) || (!variant && product.variants.length > 0)) {
+        summary.skipped.push({ productId: item.productId, variantId: item.variantId });
+        return;
+      }
+
+      const available = (variant || product).stockLevels().available;
+      const existing = cart.items.find((line) => matchesItem(line, item.productId, item.variantId));
+      const requested = (existing?.quantity || 0) + item.quantity;
+      const quantity = Math.min(requested, available);
+
+      if (quantity < requested) {
+        summary.capped.push({ productId: item.productId, variantId: item.variantId, requested, quantity });
+      }
+      if (quantity === 0) return;
+
+      if (existing) existing.quantity = quantity;
+      else cart.items.push({ productId: item.productId, variantId: item.variantId, quantity });
+      summary.merged += 1;
+    });
+
+    await cart.save();
+    return summary;
+  } catch (error) {
+    console.error("❌ Failed to merge guest cart:", error.message);
+    if (guestCart?.items.length > 0) {
+      await Cart.create(guestCart.toObject()).catch((restoreError) =>
+        console.error(`❌ Could not restore guest cart ${guestId}:`, restoreError.message)
+      );
+    }
+    return null;
+  }
+};
+
+module.exports = {
+  issueGuestToken,
+  readGuestToken,
+  mergeGuestCart,
+};
@@ -0,0 +1,11 @@
+// Error carrying an HTTP status and a machine-readable code the frontends can switch on.
+// `details` is merged into the JSON error response (e.g. { retryAfter: 60 }).
+const httpError = (status, code, message, details = {}) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  error.details = details;
+  return error;
+};
+
+module.exports = httpError;
@@ -0,0 +1,174 @@
+const mongoose = require("mongoose");
+const Product = require("../models/Product");
+const httpError = require("./httpError");
+const { recordMovement } = require("./stockLedger");
+
+// Stock lifecycle of an order's lines:
+//   reserveStock - on order: reservedQuantity += q, only if on hand minus reserved covers q
+//   releaseStock - on cancellation / payment rejection: reservedQuantity -= q
+//   commitStock  - on fulfilment: reservedQuantity -= q, stockQuantity -= q, sold += q
+//   adjustStock  - receipts, returns, write-offs and manual corrections
+// Variant lines update the variant and the product-level totals together.
+// Changes to on-hand stock and sold are recorded in the stock ledger.
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+// Merge lines for the same product/variant so each is reserved in one update
+const groupLines = (items) => {
+  const lines = new Map();
+  items.forEach((item) => {
+    const key = `${item.productId}:${item.variantId || ""}`;
+    const line = lines.get(key) || { productId: item.productId, variantId: item.variantId, product: item.product, quantity: 0 };
+    line.quantity += Number(item.quantity) || 0;
+    lines.set(key, line);
+  });
+  return Array.from(lines.values()).filter((line) => line.quantity > 0);
+};
+
+// Units of `path` (product root or a variant) that are free to reserve
+const availableExpr = (source) => ({
+  $subtract: [{ $ifNull: [`${source}.stockQuantity`, 0] }, { $ifNull: [`${source}.reservedQuantity`, 0] }],
+});
+
+// Atomically $inc the product (and variant) counters; `guard` adds the
+// "at least line.quantity available" condition. Resolves to the updated
+// product, or null if nothing matched. Pass `session` to run inside a transaction.
+const applyLine = async (line, changes, guard = false, session) => {
+  const filter = { _id: toObjectId(line.productId) };
+  const update = { $inc: {} };
+  const options = {};
+
+  Object.entries(changes).forEach(([field, delta]) => {
+    update.$inc[field] = delta;
+  });
+
+  if (line.variantId) {
+    const variantId = toObjectId(line.variantId);
+    filter["variants._id"] = variantId;
+    Object.entries(changes).forEach(([field, delta]) => {
+      update.$inc[`variants.$[variant].${field}`] = delta;
+    });
+    options.arrayFilters = [{ "variant._id": variantId }];
+
+    if (guard) {
+      filter.$expr = {
+        $gte: [
+          {
+            $let: {
+              vars: {
+                variant: {
+                  $arrayElemAt: [{ $filter: { input: "$variants", cond: { $eq: ["$$this._id", variantId] } } }, 0],
+                },
+              },
+              in: availableExpr("$$variant"),
+            },
+          },
+          line.quantity,
+        ],
+      };
+    }
+  } else if (guard) {
+    filter.$expr = { $gte: [availableExpr("$$ROOT"), line.quantity] };
+  }
+
+  return Product.findOneAndUpdate(filter, update, { ...options, new: true, session });
+};
+
+// Current stock levels for an error report
+const describeShortage = async (line, session) => {
+  const product = mongoose.Types.ObjectId.isValid(line.productId)
+    ? await Product.findById(line.productId).session(session || null)
+    : null;
+  const variant = product?.findVariant(line.variantId);
+  const levels = (variant || product)?.stockLevels() || { available: 0 };
+
+  return {
+    productId: line.productId,
+    variantId: line.variantId,
+    product: product?.name || line.product,
+    variant: variant?.label(),
+    requested: line.quantity,
+    available: levels.available,
+  };
+};
+
+// Reserve stock for all order lines or none. Throws INSUFFICIENT_STOCK (409)
+// listing every line that can't be covered. Inside a transaction (`session`)
+// the partial reservations are left for the abort to undo.
+const reserveStock = async (items, { session } = {}) => {
+  const lines = groupLines(items);
+  const reserved = [];
+  const shortages = [];
+
+  for (const line of lines) {
+    if (await applyLine(line, { reservedQuantity: line.quantity }, true, session)) {
+      reserved.push(line);
+    } else {
+      shortages.push(await describeShortage(line, session));
+    }
+  }
+
+  if (shortages.length > 0) {
+    if (!session) await releaseStock(reserved);
+    const names = shortages.map((shortage) =>
+      shortage.variant ? `${shortage.product} (${shortage.variant})` : shortage.product
+    );
+    throw httpError(409, "INSUFFICIENT_STOCK", `Not enough stock for: ${names.join(", ")}`, { items: shortages });
+  }
+};
+
+// Give reserved units back to the available pool
+const releaseStock = async (items) => {
+  for (const line of groupLines(items)) {
+    if (!(await applyLine(line, { reservedQuantity: -line.quantity }))) {
+      console.error(`❌ Could not release stock for product ${line.productId}`);
+    }
+  }
+};
+
+// Ship reserved units and record the sales. `reserved: false` is for orders
+// placed before reservations existed, whose units were never held.
+const commitStock = async (items, { reserved = true, orderId, actor } = {}) => {
+  for (const line of groupLines(items)) {
+    const changes = { stockQuantity: -line.quantity, sold: line.quantity };
+    if (reserved) changes.reservedQuantity = -line.quantity;
+
+    const product = await applyLine(line, changes);
+    if (!product) {
+      console.error(`❌ Could not commit stock for product ${line.productId}`);
+      continue;
+    }
+    await recordMovement(product, {
+      variantId: line.variantId,
+      type: "sale",
+      quantity: -line.quantity,
+      soldDelta: line.quantity,
+      orderId,
+      actor,
+    });
+  }
+};
+
+// Change on-hand stock (and sold) of a product or variant and record why.
+// Units held by open orders can't be removed: throws INSUFFICIENT_STOCK (409).
+const adjustStock = async ({ productId, variantId, type, quantity, soldDelta = 0, reason, orderId, actor }) => {
+  const changes = { stockQuantity: quantity };
+  if (soldDelta) changes.sold = soldDelta;
+
+  const line = { productId, variantId, quantity: Math.max(0, -quantity) };
+  const product = await applyLine(line, changes, quantity < 0);
+  if (!product) {
+    const shortage = await describeShortage(line);
+    throw httpError(409, "INSUFFICIENT_STOCK", `Only ${shortage.available} unreserved units can be removed`, shortage);
+  }
+
+  const movement = await recordMovement(product, { variantId, type, quantity, soldDelta, reason, orderId, actor });
+  return { product, movement };
+};
+
+module.exports = {
+  reserveStock,
+  releaseStock,
+  commitStock,
+  adjustStock,
+};
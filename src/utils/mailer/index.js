@@ -0,0 +1,125 @@
+const EmailOutbox = require("../../models/EmailOutbox");
+const { renderTemplate, SUPPORTED_LOCALES } = require("./templates");
+const { getTransport } = require("./transports");
+
+const WORKER_INTERVAL_MS = Number(process.env.MAIL_WORKER_INTERVAL_MS) || 5000;
+const BATCH_SIZE = 20;
+const RETRY_BASE_MS = 30 * 1000; // 30s, 1m, 2m, 4m… between attempts
+const STALE_LOCK_MS = 5 * 60 * 1000; // Reclaim messages a crashed worker left in "sending"
+
+let processing = false;
+let workerTimer = null;
+
+// Render a template and persist it to the outbox. Returns immediately; the
+// worker delivers it, so a mail outage never fails the calling request.
+//   sensitive - clear the body once sent or given up on (OTPs, reset links)
+//   expiresAt - give up delivering after this time
+const queueEmail = async ({ to, template, data = {}, locale, sensitive = false, expiresAt }) => {
+  const rendered = renderTemplate(template, data, locale);
+
+  const message = await EmailOutbox.create({
+    to,
+    template,
+    locale: rendered.locale,
+    subject: rendered.subject,
+    html: rendered.html,
+    text: rendered.text,
+    sensitive,
+    expiresAt,
+  });
+
+  // Try right away instead of waiting for the next worker tick
+  setImmediate(() => processOutbox().catch((error) => console.error("Mail outbox error:", error)));
+
+  return message;
+};
+
+// Atomically take the next due message so concurrent workers never double-send
+const claimNext = () =>
+  EmailOutbox.findOneAndUpdate(
+    { status: "pending", nextAttemptAt: { $lte: new Date() } },
+    { $set: { status: "sending", lockedAt: new Date() }, $inc: { attempts: 1 } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+
+const deliver = async (message) => {
+  if (message.expiresAt && message.expiresAt < new Date()) {
+    await EmailOutbox.updateOne(
+      { _id: message._id },
+      { $set: { status: "expired" }, $unset: { html: 1, text: 1, lockedAt: 1 } }
+    );
+    return;
+  }
+
+  try {
+    await getTransport().send({
+      from: `"PA Gebeya" <${process.env.EMAIL_USER}>`,
+      to: message.to,
+      subject: message.subject,
+      html: message.html,
+      text: message.text,
+    });
+
+    await EmailOutbox.updateOne(
+      { _id: message._id },
+      {
+        $set: { status: "sent", sentAt: new Date() },
+        $unset: { lockedAt: 1, ...(message.sensitive && { html: 1, text: 1 }) },
+      }
+    );
+    console.log(`📧 ${message.template} email sent to ${message.to}`);
+  } catch (error) {
+    const exhausted = message.attempts >= message.maxAttempts;
+    await EmailOutbox.updateOne(
+      { _id: message._id },
+      {
+        $set: {
+          status: exhausted ? "failed" : "pending",
+          lastError: error.message,
+          nextAttemptAt: new Date(Date.now() + RETRY_BASE_MS * 2 ** (message.attempts - 1)),
+        },
+        // A sensitive message that will never be sent doesn't keep its OTP or link
+        $unset: { lockedAt: 1, ...(exhausted && message.sensitive && { html: 1, text: 1 }) },
+      }
+    );
+    console.error(`❌ Failed to send ${message.template} email to ${message.to} (attempt ${message.attempts}):`, error.message);
+  }
+};
+
+// Deliver due messages from the outbox
+const processOutbox = async () => {
+  if (processing) return;
+  processing = true;
+
+  try {
+    await EmailOutbox.updateMany(
+      { status: "sending", lockedAt: { $lt: new Date(Date.now() - STALE_LOCK_MS) } },
+      { $set: { status: "pending" } }
+    );
+
+    for (let i = 0; i < BATCH_SIZE; i++) {
+      const message = await claimNext();
+      if (!message) break;
+      await deliver(message);
+    }
+  } finally {
+    processing = false;
+  }
+};
+
+// Poll the outbox; call once the database connection is up
+const startMailWorker = () => {
+  if (workerTimer) return;
+  workerTimer = setInterval(
+    () => processOutbox().catch((error) => console.error("Mail outbox error:", error)),
+    WORKER_INTERVAL_MS
+  );
+  console.log("📧 Mail outbox worker started");
+};
+
+module.exports = {
+  queueEmail,
+  processOutbox,
+  startMailWorker,
+  SUPPORTED_LOCALES,
+};
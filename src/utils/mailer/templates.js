@@ -0,0 +1,184 @@
+// Named email templates. Each template has one renderer per locale returning
+// { subject, html, text }; unknown locales fall back to English.
+
+const DEFAULT_LOCALE = "en";
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const formatMoney = (amount) =>
+  `${Number(amount || 0).toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 2 })} ETB`;
+
+const layout = (content) => `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        ${content}
+      </div>
+    `;
+
+const codeBox = (code) => `
+        <div style="background: #f4f4f4; padding: 20px; text-align: center; margin: 20px 0;">
+          <h1 style="margin: 0; color: #0066cc;">${escapeHtml(code)}</h1>
+        </div>`;
+
+const button = (url, label) => `
+        <div style="text-align: center; margin: 20px 0;">
+          <a href="${escapeHtml(url)}" style="background: #0066cc; color: #fff; padding: 12px 24px; text-decoration: none;">${escapeHtml(label)}</a>
+        </div>`;
+
+const itemsTable = (items = []) => `
+        <table style="width: 100%; border-collapse: collapse;">
+          ${items
+            .map(
+              (item) => `<tr>
+            <td style="padding: 4px 0;">${escapeHtml(item.product)} × ${escapeHtml(item.quantity)}</td>
+            <td style="padding: 4px 0; text-align: right;">${formatMoney(item.price * item.quantity)}</td>
+          </tr>`
+            )
+            .join("")}
+        </table>`;
+
+// OTP wording per purpose (see utils/otp.js)
+const OTP_PURPOSES = {
+  en: {
+    login: { subject: "Your Login OTP Code", action: "complete your login" },
+    contactChange: { subject: "Confirm your new contact details", action: "confirm your new contact details" },
+    emailVerification: { subject: "Verify your email address", action: "verify your email address" },
+  },
+  am: {
+    login: { subject: "የመግቢያ ኮድዎ", action: "ለመግባት" },
+    contactChange: { subject: "አዲሱን አድራሻዎን ያረጋግጡ", action: "አዲሱን አድራሻዎን ለማረጋገጥ" },
+    emailVerification: { subject: "ኢሜይልዎን ያረጋግጡ", action: "ኢሜይልዎን ለማረጋገጥ" },
+  },
+};
+
+const templates = {
+  // data: { otp, purpose }
+  otp: {
+    en: ({ otp, purpose = "login" }) => {
+      const { subject, action } = OTP_PURPOSES.en[purpose] || OTP_PURPOSES.en.login;
+      return {
+        subject,
+        html: layout(`
+        <h2 style="color: #333;">Your One-Time Password (OTP)</h2>
+        <p>Use the following OTP to ${action}:</p>${codeBox(otp)}
+        <p>This OTP is valid for 10 minutes.</p>
+        <p>If you didn't request this, please ignore this email.</p>`),
+        text: `Use ${otp} to ${action}. This OTP is valid for 10 minutes.`,
+      };
+    },
+    am: ({ otp, purpose = "login" }) => {
+      const { subject, action } = OTP_PURPOSES.am[purpose] || OTP_PURPOSES.am.login;
+      return {
+        subject,
+        html: layout(`
+        <h2 style="color: #333;">የአንድ ጊዜ ኮድ (OTP)</h2>
+        <p>${action} የሚከተለውን ኮድ ይጠቀሙ፦</p>${codeBox(otp)}
+        <p>ይህ ኮድ ለ10 ደቂቃ ያገለግላል።</p>
+        <p>ይህን ካልጠየቁ ይህን ኢሜይል ችላ ይበሉ።</p>`),
+        text: `${action} ${otp} ይጠቀሙ። ይህ ኮድ ለ10 ደቂቃ ያገለግላል።`,
+      };
+    },
+  },
+
+  // data: { resetUrl }
+  passwordReset: {
+    en: ({ resetUrl }) => ({
+      subject: "Reset your password",
+      html: layout(`
+        <h2 style="color: #333;">Reset your password</h2>
+        <p>Click the button below to choose a new password:</p>${button(resetUrl, "Reset password")}
+        <p>This link is valid for 30 minutes and can only be used once.</p>
+        <p>If you didn't request this, please ignore this email.</p>`),
+      text: `Reset your password: ${resetUrl} (valid for 30 minutes, single use)`,
+    }),
+    am: ({ resetUrl }) => ({
+      subject: "የይለፍ ቃልዎን ይቀይሩ",
+      html: layout(`
+        <h2 style="color: #333;">የይለፍ ቃልዎን ይቀይሩ</h2>
+        <p>አዲስ የይለፍ ቃል ለመምረጥ ከታች ያለውን ይጫኑ፦</p>${button(resetUrl, "የይለፍ ቃል ቀይር")}
+        <p>ይህ ሊንክ ለ30 ደቂቃ ያገለግላል፤ አንድ ጊዜ ብቻ መጠቀም ይቻላል።</p>
+        <p>ይህን ካልጠየቁ ይህን ኢሜይል ችላ ይበሉ።</p>`),
+      text: `የይለፍ ቃልዎን ይቀይሩ፦ ${resetUrl}`,
+    }),
+  },
+
+  // data: { name, orderId, amount, items }
+  orderConfirmation: {
+    en: ({ name, orderId, amount, items }) => ({
+      subject: `Order #${orderId} received`,
+      html: layout(`
+        <h2 style="color: #333;">Thank you for your order, ${escapeHtml(name)}!</h2>
+        <p>We've received order <strong>#${escapeHtml(orderId)}</strong> and will review your payment shortly.</p>${itemsTable(items)}
+        <p style="text-align: right;"><strong>Total: ${formatMoney(amount)}</strong></p>`),
+      text: `We've received order #${orderId}. Total: ${formatMoney(amount)}.`,
+    }),
+    am: ({ name, orderId, amount, items }) => ({
+      subject: `ትዕዛዝ #${orderId} ደርሶናል`,
+      html: layout(`
+        <h2 style="color: #333;">${escapeHtml(name)}፣ ስለ ትዕዛዝዎ እናመሰግናለን!</h2>
+        <p>ትዕዛዝ <strong>#${escapeHtml(orderId)}</strong> ደርሶናል፤ ክፍያዎን በቅርቡ እናረጋግጣለን።</p>${itemsTable(items)}
+        <p style="text-align: right;"><strong>ጠቅላላ፦ ${formatMoney(amount)}</strong></p>`),
+      text: `ትዕዛዝ #${orderId} ደርሶናል። ጠቅላላ፦ ${formatMoney(amount)}።`,
+    }),
+  },
+
+  // data: { name, orderId, status }
+  orderStatusChanged: {
+    en: ({ name, orderId, status }) => ({
+      subject: `Order #${orderId} is now ${status}`,
+      html: layout(`
+        <h2 style="color: #333;">Order update</h2>
+        <p>Hi ${escapeHtml(name)}, your order <strong>#${escapeHtml(orderId)}</strong> is now <strong>${escapeHtml(status)}</strong>.</p>`),
+      text: `Your order #${orderId} is now ${status}.`,
+    }),
+    am: ({ name, orderId, status }) => ({
+      subject: `የትዕዛዝ #${orderId} ሁኔታ ተቀይሯል`,
+      html: layout(`
+        <h2 style="color: #333;">የትዕዛዝ ሁኔታ</h2>
+        <p>ሰላም ${escapeHtml(name)}፣ የትዕዛዝዎ <strong>#${escapeHtml(orderId)}</strong> አዲስ ሁኔታ፦ <strong>${escapeHtml(status)}</strong></p>`),
+      text: `የትዕዛዝዎ #${orderId} አዲስ ሁኔታ፦ ${status}`,
+    }),
+  },
+
+  // data: { name, orderId, reason }
+  paymentRejected: {
+    en: ({ name, orderId, reason }) => ({
+      subject: `Payment for order #${orderId} was not accepted`,
+      html: layout(`
+        <h2 style="color: #333;">We couldn't confirm your payment</h2>
+        <p>Hi ${escapeHtml(name)}, the payment proof for order <strong>#${escapeHtml(orderId)}</strong> was rejected.</p>
+        ${reason ? `<p><strong>Reason:</strong> ${escapeHtml(reason)}</p>` : ""}
+        <p>Please upload a new payment proof from your order page.</p>`),
+      text: `The payment proof for order #${orderId} was rejected.${reason ? ` Reason: ${reason}.` : ""} Please upload a new one.`,
+    }),
+    am: ({ name, orderId, reason }) => ({
+      subject: `የትዕዛዝ #${orderId} ክፍያ ተቀባይነት አላገኘም`,
+      html: layout(`
+        <h2 style="color: #333;">ክፍያዎን ማረጋገጥ አልቻልንም</h2>
+        <p>ሰላም ${escapeHtml(name)}፣ የትዕዛዝ <strong>#${escapeHtml(orderId)}</strong> የክፍያ ማረጋገጫ ተቀባይነት አላገኘም።</p>
+        ${reason ? `<p><strong>ምክንያት፦</strong> ${escapeHtml(reason)}</p>` : ""}
+        <p>እባክዎ አዲስ የክፍያ ማረጋገጫ ይላኩ።</p>`),
+      text: `የትዕዛዝ #${orderId} የክፍያ ማረጋገጫ ተቀባይነት አላገኘም።${reason ? ` ምክንያት፦ ${reason}።` : ""}`,
+    }),
+  },
+};
+
+const SUPPORTED_LOCALES = ["en", "am"];
+
+// Render a named template in the requested locale (falls back to English)
+const renderTemplate = (name, data = {}, locale = DEFAULT_LOCALE) => {
+  const template = templates[name];
+  if (!template) throw new Error(`Unknown email template "${name}"`);
+
+  const resolvedLocale = template[locale] ? locale : DEFAULT_LOCALE;
+  return { locale: resolvedLocale, ...template[resolvedLocale](data) };
+};
+
+module.exports = {
+  renderTemplate,
+  SUPPORTED_LOCALES,
+};
@@ -0,0 +1,58 @@
+const fs = require("fs");
+const path = require("path");
+const nodemailer = require("nodemailer");
+
+// Transports implement `send(message)` where message is { from, to, subject, html, text }.
+// Pick one with MAIL_TRANSPORT (default "smtp").
+
+let smtpTransporter;
+
+// SMTP transport, created once and reused
+const smtp = {
+  send: (message) => {
+    if (!smtpTransporter) {
+      smtpTransporter = nodemailer.createTransport({
+        service: process.env.EMAIL_SERVICE || 'gmail',
+        host: process.env.EMAIL_HOST || "smtp.gmail.com",
+        port: process.env.EMAIL_PORT || 465,
+        secure: true,
+        auth: {
+          user: process.env.EMAIL_USER,
+          pass: process.env.EMAIL_PASS,
+        },
+      });
+    }
+    return smtpTransporter.sendMail(message);
+  },
+};
+
+// Local testing: append each message as a JSON line to MAIL_OUTBOX_FILE
+const file = {
+  send: async (message) => {
+    const target = process.env.MAIL_OUTBOX_FILE || path.join(__dirname, "..", "..", "..", "logs", "mail-outbox.jsonl");
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await fs.promises.appendFile(target, JSON.stringify({ ...message, sentAt: new Date() }) + "\n");
+  },
+};
+
+// Local testing: print the message to the server log
+const log = {
+  send: async (message) => {
+    console.log(`📧 Email to ${message.to}: ${message.subject}\n${message.text || message.html}`);
+  },
+};
+
+const transports = {
+  smtp,
+  file,
+  console: log,
+};
+
+const getTransport = () => {
+  const name = process.env.MAIL_TRANSPORT || "smtp";
+  const transport = transports[name];
+  if (!transport) throw new Error(`Unknown mail transport "${name}"`);
+  return transport;
+};
+
+module.exports = { getTransport };
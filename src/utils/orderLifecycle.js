@@ -0,0 +1,207 @@
+const mongoose = require("mongoose");
+const Order = require("../models/Order");
+const User = require("../models/Users");
+const Notification = require("../models/Notification");
+const httpError = require("./httpError");
+const { queueEmail } = require("./mailer");
+const { reserveStock, releaseStock, commitStock, adjustStock } = require("./inventory");
+const { releaseCoupon } = require("./coupons");
+
+const { ORDER_STATUSES, ORDER_TRANSITIONS } = Order;
+
+// Queue an email to the order's customer; mail problems never fail the request
+const emailCustomer = async (order, template, data = {}) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(order.userId)) return;
+    const user = await User.findById(order.userId);
+    if (!user) return;
+
+    await queueEmail({
+      to: user.email,
+      template,
+      locale: user.locale,
+      data: { name: user.fullName, orderId: order.id, ...data },
+    });
+  } catch (error) {
+    console.error(`❌ Error queueing ${template} email:`, error.message);
+  }
+};
+
+// In-app notification for the order's customer; never fails the request
+const notifyCustomer = async (order, message) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(order.userId)) return;
+    await Notification.create({ userId: order.userId, orderId: String(order.id), message });
+  } catch (error) {
+    console.error("❌ Error creating order notification:", error.message);
+  }
+};
+
+// Release the order's reservation once (cancellation, deletion)
+const releaseOrderStock = async (order) => {
+  const result = await Order.updateOne({ _id: order._id, stockStatus: "reserved" }, { $set: { stockStatus: "released" } });
+  if (result.modifiedCount === 1) await releaseStock(order.orderDetails);
+};
+
+// Hold the order's units again after a payment rejection released them.
+// Throws INSUFFICIENT_STOCK (409) if they have been sold meanwhile.
+const reserveOrderStockAgain = async (order) => {
+  const result = await Order.updateOne({ _id: order._id, stockStatus: "released" }, { $set: { stockStatus: "reserved" } });
+  if (result.modifiedCount !== 1) return false;
+
+  try {
+    await reserveStock(order.orderDetails);
+  } catch (error) {
+    await Order.updateOne({ _id: order._id, stockStatus: "reserved" }, { $set: { stockStatus: "released" } });
+    throw error;
+  }
+  return true;
+};
+
+// Ship the order's units once. Orders without a live reservation (released, or
+// placed before reservations existed) take the units straight from stock.
+const commitOrderStock = async (order, actor) => {
+  const previous = await Order.findOneAndUpdate(
+    { _id: order._id, stockStatus: { $nin: ["committed", "returned"] } },
+    { $set: { stockStatus: "committed" } }
+  ).select("stockStatus");
+  if (previous) {
+    await commitStock(order.orderDetails, { reserved: previous.stockStatus === "reserved", orderId: order.id, actor });
+  }
+};
+
+// Put a delivered order's units back on the shelf once, as "return" movements
+const returnOrderStock = async (order, actor) => {
+  const result = await Order.updateOne({ _id: order._id, stockStatus: "committed" }, { $set: { stockStatus: "returned" } });
+  if (result.modifiedCount !== 1) return;
+
+  for (const item of order.orderDetails) {
+    try {
+      await adjustStock({
+        productId: item.productId,
+        variantId: item.variantId,
+        type: "return",
+        quantity: item.quantity,
+        soldDelta: -item.quantity,
+        reason: `Order #${order.id} returned`,
+        orderId: order.id,
+        actor,
+      });
+    } catch (error) {
+      console.error(`❌ Could not restock product ${item.productId} for order ${order.id}:`, error.message);
+    }
+  }
+};
+
+// Give the coupon use back once (cancellation)
+const releaseOrderCoupon = async (order) => {
+  if (!order.coupon?.couponId) return;
+  const result = await Order.updateOne(
+    { _id: order._id, "coupon.couponId": { $exists: true }, "coupon.releasedAt": { $exists: false } },
+    { $set: { "coupon.releasedAt": new Date() } }
+  );
+  if (result.modifiedCount === 1) await releaseCoupon(order.coupon.couponId, order.userId, order.id);
+};
+
+// Side effects of entering a status, run after the status itself has changed.
+// A rejected payment (back to Pending) gives the stock back so an abandoned
+// order doesn't hold it; it is reserved again when the order moves on (a new
+// proof or a confirmation), see transitionOrder.
+const ON_ENTER = {
+  Pending: (order) => releaseOrderStock(order),
+  Delivered: (order, actor) => commitOrderStock(order, actor),
+  Cancelled: async (order) => {
+    await releaseOrderStock(order);
+    await releaseOrderCoupon(order);
+  },
+  Returned: (order, actor) => returnOrderStock(order, actor),
+};
+
+// Statuses an order can move to next. Orders still holding a status from
+// before the lifecycle can be moved to any status once, to bring them in.
+const allowedTransitions = (status) => ORDER_TRANSITIONS[status] || ORDER_STATUSES;
+
+// statusHistory entry for a change made by `actor` (req.user)
+const statusEntry = (to, { from, actor, reason } = {}) => ({
+  from,
+  to,
+  at: new Date(),
+  actor: actor?._id,
+  actorName: actor?.fullName,
+  actorRole: actor?.role,
+  reason,
+});
+
+// Status and history for a new order: Pending, or straight into payment
+// review when the customer attached a payment proof
+const openingStatus = (actor, { paymentProof = false } = {}) => {
+  const statusHistory = [statusEntry("Pending", { actor })];
+  if (!paymentProof) return { status: "Pending", statusHistory };
+
+  statusHistory.push(statusEntry("PaymentReview", { from: "Pending", actor, reason: "Payment proof uploaded" }));
+  return { status: "PaymentReview", statusHistory };
+};
+
+// Let the customer know, unless they made the change themselves
+const tellCustomer = async (order, from, { actor, reason }) => {
+  if (actor && String(actor._id) === String(order.userId)) return;
+
+  if (from === "PaymentReview" && order.status === "Pending") {
+    await emailCustomer(order, "paymentRejected", { reason });
+    await notifyCustomer(order, `Payment for order #${order.id} was not accepted${reason ? `: ${reason}` : ""}`);
+    return;
+  }
+  if (from === "PaymentReview" && order.status === "Confirmed") {
+    await emailCustomer(order, "orderStatusChanged", { status: order.status });
+    await notifyCustomer(order, `Payment for order #${order.id} was approved, your order is confirmed`);
+    return;
+  }
+
+  await emailCustomer(order, "orderStatusChanged", { status: order.status });
+  await notifyCustomer(order, `Your order #${order.id} is now ${order.status}`);
+};
+
+// Move an order to `to`, record who did it and run the transition's side
+// effects. `set` and `push` add other fields to the same atomic update (e.g.
+// payment review details). Resolves to the updated order.
+// Throws INVALID_ORDER_STATUS (400), ILLEGAL_ORDER_TRANSITION (409),
+// INSUFFICIENT_STOCK (409) when a released order's stock is gone, or
+// ORDER_STATUS_CONFLICT (409) if someone else changed the status meanwhile.
+const transitionOrder = async (order, to, { actor, reason, set = {}, push = {} } = {}) => {
+  if (!ORDER_STATUSES.includes(to)) {
+    throw httpError(400, "INVALID_ORDER_STATUS", `Unknown order status "${to}"`, { allowed: ORDER_STATUSES });
+  }
+
+  const from = order.status;
+  const allowed = allowedTransitions(from);
+  if (from === to || !allowed.includes(to)) {
+    throw httpError(409, "ILLEGAL_ORDER_TRANSITION", `An order can't go from ${from} to ${to}`, { from, to, allowed });
+  }
+
+  // Leaving Pending after a payment rejection: take the stock again first
+  const reserved = from === "Pending" && to !== "Cancelled" && (await reserveOrderStockAgain(order));
+
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, status: from },
+    { $set: { ...set, status: to }, $push: { ...push, statusHistory: statusEntry(to, { from, actor, reason }) } },
+    { new: true }
+  );
+  if (!updated) {
+    if (reserved) await releaseOrderStock(order);
+    throw httpError(409, "ORDER_STATUS_CONFLICT", "The order status was changed by someone else, please reload it");
+  }
+
+  if (ON_ENTER[to]) await ON_ENTER[to](updated, actor);
+  await tellCustomer(updated, from, { actor, reason });
+
+  return updated;
+};
+
+module.exports = {
+  emailCustomer,
+  releaseOrderStock,
+  allowedTransitions,
+  statusEntry,
+  openingStatus,
+  transitionOrder,
+};
@@ -0,0 +1,243 @@
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const User = require("../models/Users");
+const httpError = require("./httpError");
+const { queueEmail } = require("./mailer");
+const { sendSms } = require("./sms");
+
+const OTP_TTL_MS = 10 * 60 * 1000; // OTP valid for 10 minutes
+const MAX_FAILED_ATTEMPTS = Number(process.env.OTP_MAX_ATTEMPTS) || 5;
+const LOCKOUT_MS = (Number(process.env.OTP_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+const RESEND_COOLDOWN_MS = (Number(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 60) * 1000;
+const DAILY_SEND_CAP = Number(process.env.OTP_DAILY_CAP) || 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Where each kind of OTP is stored on the User. The resend cooldown is per
+// purpose; lockout and the daily cap are shared since they protect the same account.
+const PURPOSES = {
+  login: {
+    hash: "otpHash",
+    expiry: "otpExpiry",
+    attempts: "otpAttempts",
+    lastSentAt: "otpLastSentAt",
+    channel: "otpChannel",
+    destination: "otpDestination",
+  },
+  contactChange: {
+    hash: "pendingContact.otpHash",
+    expiry: "pendingContact.otpExpiry",
+    attempts: "pendingContact.otpAttempts",
+    lastSentAt: "pendingContact.otpLastSentAt",
+  },
+  emailVerification: {
+    hash: "emailVerification.otpHash",
+    expiry: "emailVerification.otpExpiry",
+    attempts: "emailVerification.otpAttempts",
+    lastSentAt: "emailVerification.otpLastSentAt",
+  },
+};
+
+// SMS wording for each purpose (email wording lives in the "otp" mail template)
+const SMS_MESSAGES = {
+  login: "Your PA Gebeya login code is",
+  contactChange: "Your PA Gebeya verification code is",
+  emailVerification: "Your PA Gebeya verification code is",
+};
+
+const fieldsFor = (purpose) => {
+  const fields = PURPOSES[purpose];
+  if (!fields) throw new Error(`Unknown OTP purpose "${purpose}"`);
+  return fields;
+};
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+const assertNotLocked = (user) => {
+  if (user.otpLockedUntil && user.otpLockedUntil > new Date()) {
+    throw httpError(429, "OTP_LOCKED", "Too many failed attempts. Please try again later.", {
+      retryAfter: secondsUntil(user.otpLockedUntil),
+    });
+  }
+};
+
+// Matches users whose OTPs aren't locked at `now`
+const notLockedFilter = (now) => ({
+  $or: [{ otpLockedUntil: null }, { otpLockedUntil: { $lte: now } }],
+});
+
+// Generate a new OTP for the user, enforcing the resend cooldown and daily cap.
+// Only the bcrypt hash is stored; the plaintext code is returned for delivery.
+// For login OTPs, `sentTo` ({ channel, destination }) records where the code
+// goes, so verifying it later says what the user proved they own.
+const issueOtp = async (user, purpose = "login", sentTo = {}) => {
+  const fields = fieldsFor(purpose);
+  assertNotLocked(user);
+
+  const now = new Date();
+  const lastSentAt = user.get(fields.lastSentAt);
+
+  if (lastSentAt && now - lastSentAt < RESEND_COOLDOWN_MS) {
+    const availableAt = new Date(lastSentAt.getTime() + RESEND_COOLDOWN_MS);
+    throw httpError(429, "OTP_RESEND_TOO_SOON", "Please wait before requesting another OTP.", {
+      retryAfter: secondsUntil(availableAt),
+    });
+  }
+
+  // Rolling 24h window for the daily cap
+  const windowExpired = !user.otpSendWindowStart || now - user.otpSendWindowStart >= DAY_MS;
+  const sendCount = windowExpired ? 0 : user.otpSendCount || 0;
+  if (sendCount >= DAILY_SEND_CAP) {
+    const windowEnds = new Date(user.otpSendWindowStart.getTime() + DAY_MS);
+    throw httpError(429, "OTP_DAILY_LIMIT", "Daily OTP limit reached. Please try again tomorrow.", {
+      retryAfter: secondsUntil(windowEnds),
+    });
+  }
+
+  const otp = crypto.randomInt(100000, 1000000).toString();
+  const otpExpiry = new Date(now.getTime() + OTP_TTL_MS);
+
+  const otpHash = await bcrypt.hash(otp, 10);
+
+  // Only write if nothing changed since the checks above: a concurrent request
+  // that already sent a code (or locked the account) makes this one match nothing
+  const issued = await User.findOneAndUpdate(
+    {
+      _id: user._id,
+      [fields.lastSentAt]: lastSentAt ?? null,
+      otpSendCount: user.otpSendCount ? user.otpSendCount : { $in: [0, null] }, // 0 is also the schema default for a missing count
+      otpSendWindowStart: user.otpSendWindowStart ?? null,
+      ...notLockedFilter(now),
+    },
+    {
+      $set: {
+        [fields.hash]: otpHash,
+        [fields.expiry]: otpExpiry,
+        [fields.attempts]: 0,
+        [fields.lastSentAt]: now,
+        otpSendCount: sendCount + 1,
+        otpSendWindowStart: windowExpired ? now : user.otpSendWindowStart,
+        ...(fields.channel && { [fields.channel]: sentTo.channel, [fields.destination]: sentTo.destination }),
+      },
+    }
+  );
+  if (!issued) {
+    const current = await User.findById(user._id);
+    assertNotLocked(current);
+    throw httpError(429, "OTP_RESEND_TOO_SOON", "Please wait before requesting another OTP.", {
+      retryAfter: secondsUntil(new Date(now.getTime() + RESEND_COOLDOWN_MS)),
+    });
+  }
+
+  return { otp, otpExpiry };
+};
+
+// Lock the account's OTPs for LOCKOUT_MS and drop the current code
+const lockOut = async (userId, fields) => {
+  const otpLockedUntil = new Date(Date.now() + LOCKOUT_MS);
+  await User.findByIdAndUpdate(userId, {
+    $set: { otpLockedUntil, [fields.attempts]: 0 },
+    $unset: { [fields.hash]: 1, [fields.expiry]: 1 },
+  });
+  return httpError(429, "OTP_LOCKED", "Too many failed attempts. Please try again later.", {
+    retryAfter: secondsUntil(otpLockedUntil),
+  });
+};
+
+// Check a submitted OTP. Each guess first claims an attempt atomically (only
+// while under MAX_FAILED_ATTEMPTS, not locked and with a live code), so parallel
+// guesses can't exceed the limit; reaching it locks the account. A correct
+// code is consumed atomically, so it works once. Resolves to where the code
+// was sent ({ channel, destination }), for purposes that record it.
+const verifyOtp = async (user, otp, purpose = "login") => {
+  const fields = fieldsFor(purpose);
+  const now = new Date();
+
+  const claimed = await User.findOneAndUpdate(
+    {
+      _id: user._id,
+      [fields.hash]: { $exists: true, $ne: null },
+      [fields.expiry]: { $gt: now },
+      [fields.attempts]: { $not: { $gte: MAX_FAILED_ATTEMPTS } },
+      ...notLockedFilter(now),
+    },
+    { $inc: { [fields.attempts]: 1 } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    // Work out why from the current state
+    const current = await User.findById(user._id);
+    assertNotLocked(current);
+    if (!current.get(fields.hash) || !current.get(fields.expiry)) {
+      throw httpError(400, "OTP_NOT_REQUESTED", "No OTP requested. Please request a new one.");
+    }
+    if (now > current.get(fields.expiry)) {
+      throw httpError(400, "OTP_EXPIRED", "OTP expired. Please request a new one.");
+    }
+    throw await lockOut(user._id, fields);
+  }
+
+  const otpHash = claimed.get(fields.hash);
+  const matches = await bcrypt.compare(String(otp), otpHash);
+
+  if (!matches) {
+    const attempts = claimed.get(fields.attempts);
+    if (attempts >= MAX_FAILED_ATTEMPTS) throw await lockOut(user._id, fields);
+
+    throw httpError(400, "INVALID_OTP", "Invalid OTP code", {
+      attemptsRemaining: MAX_FAILED_ATTEMPTS - attempts,
+    });
+  }
+
+  // Consume the code; if a parallel request got there first, this one fails
+  const consumed = await User.findOneAndUpdate(
+    { _id: user._id, [fields.hash]: otpHash },
+    {
+      $set: { [fields.attempts]: 0 },
+      $unset: {
+        [fields.hash]: 1,
+        [fields.expiry]: 1,
+        otpLockedUntil: 1,
+        ...(fields.channel && { [fields.channel]: 1, [fields.destination]: 1 }),
+      },
+    }
+  );
+  if (!consumed) {
+    throw httpError(400, "OTP_NOT_REQUESTED", "This OTP was already used. Please request a new one.");
+  }
+
+  return fields.channel ? { channel: claimed.get(fields.channel), destination: claimed.get(fields.destination) } : {};
+};
+
+// Whether a verified OTP proves the user owns their current email address:
+// only a code that was emailed to that very address does
+const provesEmail = (user, sentTo = {}) =>
+  sentTo.channel === "email" &&
+  Boolean(user.email) &&
+  String(sentTo.destination || "").trim().toLowerCase() === user.email.trim().toLowerCase();
+
+// Send an OTP by SMS, or queue it in the mail outbox
+const deliverOtp = async (channel, destination, otp, { purpose = "login", locale } = {}) => {
+  if (channel === "sms") {
+    await sendSms(destination, `${SMS_MESSAGES[purpose]} ${otp}. It is valid for 10 minutes.`);
+  } else {
+    await queueEmail({
+      to: destination,
+      template: "otp",
+      data: { otp, purpose },
+      locale,
+      sensitive: true,
+      expiresAt: new Date(Date.now() + OTP_TTL_MS),
+    });
+  }
+
+  console.log(`OTP sent to ${destination}`);
+  return true;
+};
+
+module.exports = {
+  issueOtp,
+  verifyOtp,
+  deliverOtp,
+  provesEmail,
+};
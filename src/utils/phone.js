@@ -0,0 +1,29 @@
+const { parsePhoneNumberFromString } = require("libphonenumber-js");
+
+const DEFAULT_COUNTRY = process.env.PHONE_DEFAULT_COUNTRY || "ET";
+
+// Normalize a phone number to E.164 (e.g. "0912345678" -> "+251912345678").
+// Accepts local (0912…), international (+251912…) and bare (251912…) formats.
+const normalizePhoneNumber = (phoneNumber) => {
+  if (!phoneNumber) throw new Error("Phone number is required");
+
+  const parsed = parsePhoneNumberFromString(phoneNumber.toString().trim(), DEFAULT_COUNTRY);
+  if (!parsed || !parsed.isValid()) {
+    throw new Error("Invalid phone number (e.g., 0912345678 or +251912345678)");
+  }
+
+  return parsed.number;
+};
+
+// Stored forms a number may have: E.164, plus the 10-digit local form
+// that accounts registered before normalization were saved with
+const phoneNumberVariants = (e164) => {
+  const parsed = parsePhoneNumberFromString(e164);
+  if (!parsed) return [e164];
+  return [e164, `0${parsed.nationalNumber}`];
+};
+
+module.exports = {
+  normalizePhoneNumber,
+  phoneNumberVariants,
+};
@@ -0,0 +1,96 @@
+const Promotion = require("../models/Promotion");
+
+// The one place that decides what a customer pays for a product.
+// Candidates: the product's own discount (hasDiscount/discount, percent) and
+// every promotion active right now that targets the product, its category or
+// everything. The lowest resulting price wins; prices are rounded to cents.
+// priceProduct() is used for product detail, carts and orders;
+// effectivePriceExpression() is the same rule for aggregation pipelines
+// (catalog filters and sorting).
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Promotions running at `now`
+const getActivePromotions = (now = new Date()) =>
+  Promotion.find({ enabled: true, startsAt: { $lte: now }, endsAt: { $gt: now } }).lean();
+
+const appliesTo = (promotion, product) => {
+  if (promotion.scope === "all") return true;
+  const categoryId = String(product.category?._id || product.category);
+  if (promotion.scope === "categories") return promotion.categories.some((id) => String(id) === categoryId);
+  return promotion.products.some((id) => String(id) === String(product._id));
+};
+
+const discounted = (price, discountType, value) =>
+  discountType === "percentage" ? price * (1 - value / 100) : Math.max(0, price - value);
+
+// Price breakdown for a product (or one of its variants) given the active promotions:
+// { originalPrice, price, discount, promotion: { _id, name, discountType, value, endsAt } | null }
+const priceProduct = (product, promotions, variant = null) => {
+  const originalPrice = variant?.price ?? product.price;
+  let price = originalPrice;
+  let promotion = null;
+
+  const productDiscount = Number(product.discount) || 0;
+  if (product.hasDiscount && productDiscount > 0) {
+    price = discounted(originalPrice, "percentage", productDiscount);
+  }
+
+  promotions.filter((candidate) => appliesTo(candidate, product)).forEach((candidate) => {
+    const candidatePrice = discounted(originalPrice, candidate.discountType, candidate.value);
+    if (candidatePrice < price) {
+      price = candidatePrice;
+      promotion = {
+        _id: candidate._id,
+        name: candidate.name,
+        discountType: candidate.discountType,
+        value: candidate.value,
+        endsAt: candidate.endsAt,
+      };
+    }
+  });
+
+  price = round(price);
+  return { originalPrice, price, discount: round(originalPrice - price), promotion };
+};
+
+// Same rule as priceProduct() for a product document in an aggregation ($price, $discount, ...)
+const effectivePriceExpression = (promotions) => {
+  const candidates = [
+    {
+      $let: {
+        vars: { discount: { $convert: { input: "$discount", to: "double", onError: 0, onNull: 0 } } },
+        in: {
+          $cond: [
+            { $and: ["$hasDiscount", { $gt: ["$$discount", 0] }] },
+            { $multiply: ["$price", { $subtract: [1, { $divide: ["$$discount", 100] }] }] },
+            "$price",
+          ],
+        },
+      },
+    },
+  ];
+
+  promotions.forEach((promotion) => {
+    const price = promotion.discountType === "percentage"
+      ? { $multiply: ["$price", 1 - promotion.value / 100] }
+      : { $max: [0, { $subtract: ["$price", promotion.value] }] };
+
+    if (promotion.scope === "all") {
+      candidates.push(price);
+    } else {
+      const [field, ids] = promotion.scope === "categories"
+        ? ["$category", promotion.categories]
+        : ["$_id", promotion.products];
+      candidates.push({ $cond: [{ $in: [field, ids] }, price, "$price"] });
+    }
+  });
+
+  return { $round: [{ $min: candidates }, 2] };
+};
+
+module.exports = {
+  getActivePromotions,
+  priceProduct,
+  effectivePriceExpression,
+};
@@ -0,0 +1,131 @@
+const mongoose = require("mongoose");
+const Product = require("../models/Product");
+const Category = require("../models/Category");
+const { getActivePromotions, priceProduct, effectivePriceExpression } = require("./pricing");
+
+const MAX_LIMIT = 100;
+
+// Units that can still be ordered: on hand minus reserved
+const availableQuantityExpr = {
+  $max: [0, { $subtract: ["$stockQuantity", { $ifNull: ["$reservedQuantity", 0] }] }],
+};
+
+const SORTS = {
+  newest: { createdAt: -1, _id: -1 },
+  price_asc: { effectivePrice: 1, _id: 1 },
+  price_desc: { effectivePrice: -1, _id: -1 },
+  best_selling: { sold: -1, _id: -1 },
+  rating: { rating: -1, _id: -1 },
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const parseNumber = (value) => {
+  if (value === undefined || value === "") return undefined;
+  const number = Number(value);
+  return isNaN(number) ? undefined : number;
+};
+
+const parseBoolean = (value) => {
+  if (value === true || value === "true" || value === "1") return true;
+  if (value === false || value === "false" || value === "0") return false;
+  return undefined;
+};
+
+// Query strings can repeat a parameter (?q=a&q=b gives an array) or nest one
+// (?q[x]=1 gives an object): take the first plain value, ignore nested ones
+const singleValues = (params) =>
+  Object.fromEntries(
+    Object.entries(params)
+      .map(([name, value]) => [name, Array.isArray(value) ? value[0] : value])
+      .filter(([, value]) => value === undefined || typeof value !== "object" || value instanceof mongoose.Types.ObjectId)
+  );
+
+// Category filter accepts an ID or a (case-insensitive) name
+const resolveCategory = async (category) => {
+  if (mongoose.Types.ObjectId.isValid(category)) return new mongoose.Types.ObjectId(category);
+  const found = await Category.findOne({ name: new RegExp(`^${escapeRegex(category)}$`, "i") });
+  return found ? found._id : null;
+};
+
+// Query the catalog.
+//   q            - text search over name, SKU and descriptions
+//   category     - category ID or name
+//   minPrice, maxPrice - range on the price after discount
+//   discounted   - true: currently discounted only (product discount or promotion), false: full price only
+//   inStock      - true: availableQuantity (on hand minus reserved) > 0
+//   minRating
+//   sort         - newest (default), price_asc, price_desc, best_selling, rating
+//   page, limit  - pagination; without them every match is returned
+// Resolves to { products, total, page, limit }; products are plain objects with
+// category populated (name only) and extra `effectivePrice`, `promotion` (see
+// utils/pricing) and `availableQuantity`.
+const queryProducts = async (query = {}) => {
+  const params = singleValues(query);
+  const match = {};
+
+  if (params.q && params.q.trim()) {
+    const pattern = new RegExp(escapeRegex(params.q.trim()), "i");
+    match.$or = [{ name: pattern }, { sku: pattern }, { shortDescription: pattern }, { fullDescription: pattern }];
+  }
+
+  if (params.category) {
+    const categoryId = await resolveCategory(params.category);
+    if (!categoryId) return { products: [], total: 0, page: 1, limit: 0 };
+    match.category = categoryId;
+  }
+
+  // Discounted means the effective price (product discount or promotion) is below the list price
+  const discounted = parseBoolean(params.discounted);
+  const discountMatch = discounted === undefined
+    ? null
+    : { $expr: { [discounted ? "$lt" : "$gte"]: ["$effectivePrice", "$price"] } };
+
+  const inStock = parseBoolean(params.inStock);
+
+  const minRating = parseNumber(params.minRating);
+  if (minRating !== undefined) match.rating = { $gte: minRating };
+
+  const priceMatch = {};
+  const minPrice = parseNumber(params.minPrice);
+  const maxPrice = parseNumber(params.maxPrice);
+  if (minPrice !== undefined) priceMatch.$gte = minPrice;
+  if (maxPrice !== undefined) priceMatch.$lte = maxPrice;
+
+  const paginate = params.page !== undefined || params.limit !== undefined;
+  const page = Math.max(1, parseInt(params.page) || 1);
+  const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(params.limit) || 20));
+
+  const itemsPipeline = [{ $sort: (Object.hasOwn(SORTS, params.sort) && SORTS[params.sort]) || SORTS.newest }];
+  if (paginate) itemsPipeline.push({ $skip: (page - 1) * limit }, { $limit: limit });
+
+  const promotions = await getActivePromotions();
+
+  const [result] = await Product.aggregate([
+    { $match: match },
+    { $addFields: { effectivePrice: effectivePriceExpression(promotions), availableQuantity: availableQuantityExpr } },
+    ...(discountMatch ? [{ $match: discountMatch }] : []),
+    ...(Object.keys(priceMatch).length ? [{ $match: { effectivePrice: priceMatch } }] : []),
+    ...(inStock ? [{ $match: { availableQuantity: { $gt: 0 } } }] : []),
+    { $facet: { products: itemsPipeline, total: [{ $count: "count" }] } },
+  ]);
+
+  const total = result.total[0]?.count || 0;
+  // Attach the active promotion (if any) the same way product detail does
+  const products = (await Product.populate(result.products, { path: "category", select: "name" })).map((product) => {
+    const pricing = priceProduct(product, promotions);
+    return { ...product, effectivePrice: pricing.price, promotion: pricing.promotion };
+  });
+
+  return {
+    products,
+    total,
+    page: paginate ? page : 1,
+    limit: paginate ? limit : total,
+  };
+};
+
+module.exports = {
+  queryProducts,
+  escapeRegex,
+};
@@ -0,0 +1,98 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const jwt = require("jsonwebtoken");
+const Session = require("../models/Session");
+const httpError = require("./httpError");
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hashToken = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Access tokens carry the session ID so authMiddleware can reject revoked sessions
+const signAccessToken = (userId, sessionId) =>
+  jwt.sign({ userId, sid: sessionId }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+
+// Refresh tokens are "<sessionId>.<secret>"; only the hash of the secret is stored
+const buildTokens = (session, secret) => ({
+  token: signAccessToken(session.userId, session._id),
+  refreshToken: `${session._id}.${secret}`,
+  expiresIn: ACCESS_TOKEN_TTL,
+});
+
+// Start a new session for a freshly authenticated user
+const createSession = async (user, req) => {
+  const secret = crypto.randomBytes(48).toString("hex");
+
+  const session = await Session.create({
+    userId: user._id,
+    refreshTokenHash: hashToken(secret),
+    device: req.headers["user-agent"] || "Unknown device",
+    ip: req.ip,
+    lastUsedAt: new Date(),
+    expiresAt: refreshExpiry(),
+  });
+
+  return { session, ...buildTokens(session, secret) };
+};
+
+// Exchange a refresh token for a new access/refresh pair.
+// Presenting an already-rotated token revokes the session (likely theft).
+const rotateSession = async (refreshToken, req) => {
+  const [sessionId, secret] = (refreshToken || "").split(".");
+  if (!mongoose.Types.ObjectId.isValid(sessionId) || !secret) {
+    throw httpError(400, "INVALID_REFRESH_TOKEN", "Invalid refresh token");
+  }
+
+  const session = await Session.findById(sessionId);
+  if (!session || !session.isActive()) {
+    throw httpError(401, "SESSION_REVOKED", "Session expired or revoked. Please log in again.");
+  }
+
+  const presentedHash = hashToken(secret);
+  const nextSecret = crypto.randomBytes(48).toString("hex");
+
+  // Only rotate if the stored hash still matches, so two concurrent refreshes cannot both succeed
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextSecret),
+        lastUsedAt: new Date(),
+        expiresAt: refreshExpiry(),
+        device: req.headers["user-agent"] || session.device,
+        ip: req.ip,
+      },
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    await revokeSession(session._id, "token-reuse");
+    throw httpError(401, "REFRESH_TOKEN_REUSED", "Refresh token already used. Session revoked, please log in again.");
+  }
+
+  return { session: rotated, ...buildTokens(rotated, nextSecret) };
+};
+
+const revokeSession = (sessionId, reason = "revoked") =>
+  Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+// Revoke all of a user's sessions, optionally keeping the one making the request
+const revokeAllSessions = (userId, reason = "logout-all", exceptSessionId = null) =>
+  Session.updateMany(
+    { userId, revokedAt: null, ...(exceptSessionId && { _id: { $ne: exceptSessionId } }) },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+};
@@ -0,0 +1,89 @@
+const fs = require("fs");
+const path = require("path");
+const httpError = require("./httpError");
+
+// SMS providers implement `send({ to, message })` and resolve once the
+// message is accepted. Pick one with SMS_PROVIDER; real gateways are added
+// with registerSmsProvider() at startup.
+const providers = {
+  // Development: print the message to the server log
+  console: {
+    send: async ({ to, message }) => {
+      console.log(`📱 SMS to ${to}: ${message}`);
+    },
+  },
+
+  // Development: append messages as JSON lines to SMS_OUTBOX_FILE
+  file: {
+    send: async ({ to, message }) => {
+      const file = process.env.SMS_OUTBOX_FILE || path.join(__dirname, "..", "..", "logs", "sms-outbox.jsonl");
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.appendFile(file, JSON.stringify({ to, message, sentAt: new Date() }) + "\n");
+    },
+  },
+};
+
+const registerSmsProvider = (name, provider) => {
+  if (!provider || typeof provider.send !== "function") {
+    throw new Error(`SMS provider "${name}" must implement send({ to, message })`);
+  }
+  providers[name] = provider;
+};
+
+// The console and file providers put OTPs in plain text on the server
+const DEV_PROVIDERS = ["console", "file"];
+const isProduction = () => process.env.NODE_ENV === "production";
+
+// Why SMS can't be used in this environment, or null when it can. Production
+// needs SMS_PROVIDER set to a real gateway.
+const smsConfigProblem = () => {
+  if (!isProduction()) return null;
+  if (!process.env.SMS_PROVIDER) return "SMS_PROVIDER must be set in production";
+  if (DEV_PROVIDERS.includes(process.env.SMS_PROVIDER)) {
+    return `SMS provider "${process.env.SMS_PROVIDER}" is for development only`;
+  }
+  return null;
+};
+
+// Throws SMS_UNAVAILABLE (503) when smsConfigProblem() finds one
+const getSmsProvider = () => {
+  if (smsConfigProblem()) {
+    throw httpError(503, "SMS_UNAVAILABLE", "Text messages can't be sent right now, please use your email instead");
+  }
+  const name = process.env.SMS_PROVIDER || "console";
+  const provider = providers[name];
+  if (!provider) throw new Error(`Unknown SMS provider "${name}"`);
+  return provider;
+};
+
+// Call before issuing a code that will go by SMS, so no OTP (or resend
+// cooldown) is spent on a message that can't be delivered
+const assertSmsAvailable = () => {
+  getSmsProvider();
+};
+
+// Startup check (after providers are registered): without SMS the API still
+// runs, phone OTP requests answer 503 SMS_UNAVAILABLE and email login works
+const checkSmsConfigured = () => {
+  const problem = smsConfigProblem();
+  if (problem) console.warn(`⚠️ SMS is disabled: ${problem}`);
+  else getSmsProvider(); // An unknown provider name is a typo, fail on it
+};
+
+const sendSms = async (to, message) => {
+  const provider = getSmsProvider();
+  try {
+    await provider.send({ to, message });
+    return true;
+  } catch (error) {
+    console.error("Error sending SMS:", error);
+    throw new Error("Failed to send SMS");
+  }
+};
+
+module.exports = {
+  sendSms,
+  registerSmsProvider,
+  assertSmsAvailable,
+  checkSmsConfigured,
+};
@@ -0,0 +1,50 @@
+const StockMovement = require("../models/StockMovement");
+
+// Append a movement for a product (or one of its variants) whose counters were
+// just changed by `quantity` (stock) and `soldDelta`. `product` is the updated
+// document. The first movement of a product/variant is preceded by an "opening"
+// entry with the balance it had before the ledger started.
+const recordMovement = async (product, { variantId, type, quantity, soldDelta = 0, reason, orderId, actor }) => {
+  const variant = variantId ? product.findVariant(variantId) : null;
+  const source = variant || product;
+  const scope = { productId: product._id, variantId: variant?._id || null };
+
+  try {
+    if (type !== "opening" && !(await StockMovement.exists(scope))) {
+      const openingStock = source.stockQuantity - quantity;
+      const openingSold = source.sold - soldDelta;
+      if (openingStock !== 0 || openingSold !== 0) {
+        await StockMovement.create({
+          ...scope,
+          sku: variant?.sku,
+          type: "opening",
+          quantity: openingStock,
+          soldDelta: openingSold,
+          balanceAfter: openingStock,
+          reason: "Balance before stock tracking",
+        });
+      }
+    }
+
+    return await StockMovement.create({
+      ...scope,
+      sku: variant?.sku,
+      type,
+      quantity,
+      soldDelta,
+      balanceAfter: source.stockQuantity,
+      reason,
+      orderId,
+      actor: actor?._id,
+      actorName: actor?.fullName,
+    });
+  } catch (error) {
+    // The stock change already happened; the reconciliation report will flag the gap
+    console.error(`❌ Failed to record ${type} movement for product ${product._id}:`, error.message);
+    return null;
+  }
+};
+
+module.exports = {
+  recordMovement,
+};
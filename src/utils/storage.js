@@ -0,0 +1,139 @@
+const { S3Client, PutObjectCommand, DeleteObjectCommand } = require("@aws-sdk/client-s3");
+const multerS3 = require("multer-s3");
+const path = require("path");
+const multer = require("multer");
+const axios = require("axios");
+const dns = require("dns");
+const net = require("net");
+
+// Configure AWS S3
+const s3 = new S3Client({
+  region: process.env.AWS_REGION,
+  credentials: {
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+  },
+});
+
+// Random object key keeping the original extension
+const generateKey = (originalName) => {
+  const ext = path.extname(originalName);
+  return `${Date.now()}-${Math.round(Math.random() * 1e9)}${ext}`;
+};
+
+// Multer middleware uploading up to `maxFiles` images from the "images" field to S3
+const imageUpload = (maxFiles = 10) =>
+  multer({
+    storage: multerS3({
+      s3: s3,
+      bucket: process.env.AWS_BUCKET_NAME,
+      metadata: function (req, file, cb) {
+        cb(null, { fieldName: file.fieldname });
+      },
+      key: function (req, file, cb) {
+        cb(null, generateKey(file.originalname));
+      }
+    }),
+    fileFilter: (req, file, cb) => {
+      const allowedMimeTypes = ['image/jpeg', 'image/png', 'image/webp'];
+      const ext = path.extname(file.originalname).toLowerCase();
+      const allowedExtensions = ['.jpg', '.jpeg', '.png', '.webp'];
+
+      if (allowedMimeTypes.includes(file.mimetype) && allowedExtensions.includes(ext)) {
+        cb(null, true);
+      } else {
+        cb(new Error(`Unsupported file format: ${file.mimetype} (${ext})`), false);
+      }
+    },
+    limits: {
+      fileSize: 5 * 1024 * 1024, // 5MB limit
+      files: maxFiles
+    }
+  }).array('images', maxFiles);
+
+const IMAGE_EXTENSIONS = { "image/jpeg": ".jpg", "image/png": ".png", "image/webp": ".webp" };
+const MAX_IMAGE_SIZE = 5 * 1024 * 1024; // Same 5MB limit as uploads
+
+// Addresses imports may not fetch from: loopback, private, link-local (cloud
+// metadata), carrier-grade NAT, multicast and reserved ranges
+const blockedAddresses = new net.BlockList();
+[
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 4], ["240.0.0.0", 4],
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, "ipv4"));
+[
+  ["::", 128], ["::1", 128], ["64:ff9b::", 96], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8],
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, "ipv6"));
+
+const isBlockedAddress = (address) => {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address); // IPv4-mapped IPv6
+  if (mapped) return blockedAddresses.check(mapped[1], "ipv4");
+  return blockedAddresses.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+};
+
+// DNS lookup that refuses hosts resolving to a blocked address. Used for the
+// connection itself, so a host can't pass a check and then re-resolve elsewhere.
+const lookupPublicAddress = async (hostname) => {
+  const addresses = await dns.promises.lookup(hostname, { all: true });
+  const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+  if (blocked) throw new Error(`Refusing to fetch from ${hostname} (${blocked.address}): not a public address`);
+  return addresses;
+};
+
+// Download an image from a URL and store it in S3; resolves to the S3 key.
+// Only public hosts are fetched and redirects aren't followed.
+const uploadImageFromUrl = async (url) => {
+  if (!/^https?:\/\//i.test(url)) throw new Error(`Not an http(s) URL: ${url}`);
+
+  // IP literals skip the DNS lookup, so check them here
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(hostname) && isBlockedAddress(hostname)) {
+    throw new Error(`Refusing to fetch from ${hostname}: not a public address`);
+  }
+
+  const response = await axios.get(url, {
+    responseType: "arraybuffer",
+    timeout: 15000,
+    maxContentLength: MAX_IMAGE_SIZE,
+    maxRedirects: 0,
+    lookup: lookupPublicAddress,
+  });
+  const contentType = String(response.headers["content-type"] || "").split(";")[0].trim();
+  const ext = IMAGE_EXTENSIONS[contentType];
+  if (!ext) throw new Error(`Unsupported image type ${contentType || "unknown"} at ${url}`);
+
+  const key = generateKey(`image${ext}`);
+  await s3.send(new PutObjectCommand({
+    Bucket: process.env.AWS_BUCKET_NAME,
+    Key: key,
+    Body: Buffer.from(response.data),
+    ContentType: contentType,
+  }));
+  return key;
+};
+
+// Helper function to generate image URLs
+const getImageUrl = (imageName) => {
+  if (!imageName) return null;
+  return `https://${process.env.AWS_BUCKET_NAME}.s3.${process.env.AWS_REGION}.amazonaws.com/${imageName}`;
+};
+
+// Delete images from S3; failures are logged, not thrown
+const deleteImages = async (keys = []) => {
+  try {
+    await Promise.all(
+      keys.map((key) => s3.send(new DeleteObjectCommand({ Bucket: process.env.AWS_BUCKET_NAME, Key: key })))
+    );
+  } catch (error) {
+    console.error("Error deleting images from S3:", error);
+  }
+};
+
+module.exports = {
+  s3,
+  generateKey,
+  imageUpload,
+  uploadImageFromUrl,
+  getImageUrl,
+  deleteImages,
+};
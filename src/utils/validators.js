@@ -0,0 +1,21 @@
+// Email validation
+const validateEmail = (email) => {
+  if (!email) throw new Error("Email is required");
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    throw new Error("Invalid email format (e.g., user@example.com)");
+  }
+};
+
+// Password validation
+const validatePassword = (password) => {
+  if (!password) throw new Error("Password is required");
+  if (password.length < 8) {
+    throw new Error("Password must be at least 8 characters");
+  }
+};
+
+
+module.exports = {
+  validateEmail,
+  validatePassword,
+};
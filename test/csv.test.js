@@ -0,0 +1,22 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { parseCsvRecords, toCsv } = require("../src/utils/csv");
+
+test("formula-like text survives an export and re-import unchanged", () => {
+  const columns = ["sku", "name", "shortDescription", "price"];
+  const records = [
+    { sku: "TS-1", name: "=SUM(A1:A2)", shortDescription: "-20% this week, \"best\" seller", price: 150 },
+    { sku: "TS-2", name: "+251 bundle", shortDescription: "@home\nline two", price: -5 },
+    { sku: "TS-3", name: "Plain name", shortDescription: "", price: 0 },
+  ];
+
+  const csv = toCsv(columns, records);
+  assert.match(csv, /'=SUM/); // Escaped in the file
+
+  const parsed = parseCsvRecords(csv);
+  assert.deepStrictEqual(parsed.columns, columns);
+  assert.deepStrictEqual(
+    parsed.records,
+    records.map((record) => Object.fromEntries(columns.map((column) => [column, String(record[column])])))
+  );
+});
@@ -0,0 +1,55 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const User = require("../src/models/Users");
+const { issueOtp, verifyOtp, provesEmail } = require("../src/utils/otp");
+
+// Keeps one user in memory and applies the few update operators otp.js uses
+const fakeUserStore = (t, data) => {
+  let doc = { _id: "u1", ...data };
+  const apply = (update) => {
+    Object.entries(update.$set || {}).forEach(([field, value]) => (doc[field] = value));
+    Object.entries(update.$inc || {}).forEach(([field, by]) => (doc[field] = (doc[field] || 0) + by));
+    Object.keys(update.$unset || {}).forEach((field) => delete doc[field]);
+  };
+  const hydrate = () => User.hydrate({ ...doc });
+
+  t.mock.method(User, "findById", async () => hydrate());
+  t.mock.method(User, "findByIdAndUpdate", async (id, update) => {
+    apply(update);
+    return hydrate();
+  });
+  t.mock.method(User, "findOneAndUpdate", async (filter, update, options = {}) => {
+    if (filter.otpHash && typeof filter.otpHash === "string" && filter.otpHash !== doc.otpHash) return null;
+    const before = hydrate();
+    apply(update);
+    return options.new ? hydrate() : before;
+  });
+  return { user: () => hydrate() };
+};
+
+const user = { email: "abebe@example.com", phoneNumber: "+251912345678", emailVerified: false };
+
+test("a login OTP sent by SMS doesn't prove the email address", async (t) => {
+  const store = fakeUserStore(t, user);
+  const { otp } = await issueOtp(store.user(), "login", { channel: "sms", destination: user.phoneNumber });
+
+  // Verified through the email form, as the attack would
+  const sentTo = await verifyOtp(store.user(), otp);
+
+  assert.deepStrictEqual(sentTo, { channel: "sms", destination: user.phoneNumber });
+  assert.strictEqual(provesEmail(store.user(), sentTo), false);
+});
+
+test("a login OTP emailed to the account's address proves it", async (t) => {
+  const store = fakeUserStore(t, user);
+  const { otp } = await issueOtp(store.user(), "login", { channel: "email", destination: user.email });
+
+  const sentTo = await verifyOtp(store.user(), otp);
+
+  assert.strictEqual(provesEmail(store.user(), sentTo), true);
+});
+
+test("an OTP emailed to a different address doesn't prove the current one", () => {
+  assert.strictEqual(provesEmail(user, { channel: "email", destination: "old@example.com" }), false);
+  assert.strictEqual(provesEmail(user, {}), false);
+});